@@ -0,0 +1,390 @@
+/**
+ * Account Store for Rain-Guessr
+ * Player profiles (no password), their game history and stats
+ * Storage goes through a backend object so a server can replace localStorage:
+ * every backend method is async and works on plain JSON objects
+ */
+
+const AccountStore = {
+  EXPORT_FORMAT: 'rain-guessr-profile',
+  EXPORT_VERSION: 1,
+  MAX_NAME_LENGTH: 24,
+
+  /**
+   * localStorage backend (the default)
+   * Backend interface: listProfiles(), getProfile(id), saveProfile(profile),
+   * deleteProfile(id), getGames(profileId), addGame(profileId, game),
+   * getActiveProfileId(), setActiveProfileId(id)
+   */
+  localBackend: {
+    STORAGE_KEY: 'rainGuessr.accounts',
+    VERSION: 1,
+
+    read() {
+      try {
+        const data = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        if (data && data.version === this.VERSION) return data;
+      } catch (error) {
+        console.warn('Saved accounts are corrupted, starting over:', error);
+      }
+      return { version: this.VERSION, activeProfileId: null, profiles: {}, games: {} };
+    },
+
+    write(data) {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+    },
+
+    async listProfiles() {
+      return Object.values(this.read().profiles);
+    },
+
+    async getProfile(id) {
+      return this.read().profiles[id] || null;
+    },
+
+    async saveProfile(profile) {
+      const data = this.read();
+      data.profiles[profile.id] = profile;
+      if (!data.games[profile.id]) data.games[profile.id] = [];
+      this.write(data);
+      return profile;
+    },
+
+    async deleteProfile(id) {
+      const data = this.read();
+      delete data.profiles[id];
+      delete data.games[id];
+      if (data.activeProfileId === id) data.activeProfileId = null;
+      this.write(data);
+    },
+
+    async getGames(profileId) {
+      return this.read().games[profileId] || [];
+    },
+
+    async addGame(profileId, game) {
+      const data = this.read();
+      if (!data.profiles[profileId]) throw new Error(`Unknown profile ${profileId}`);
+      data.games[profileId] = [...(data.games[profileId] || []), game];
+      this.write(data);
+      return game;
+    },
+
+    async getActiveProfileId() {
+      return this.read().activeProfileId;
+    },
+
+    async setActiveProfileId(id) {
+      const data = this.read();
+      data.activeProfileId = id;
+      this.write(data);
+    }
+  },
+
+  backend: null,
+  listeners: [],
+
+  /**
+   * Replace the storage backend (e.g. a server client with the same methods)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+    this.notify();
+  },
+
+  /**
+   * Current backend (localStorage unless replaced)
+   */
+  getBackend() {
+    return this.backend || this.localBackend;
+  },
+
+  /**
+   * Call `callback()` when profiles or the active profile change
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  },
+
+  notify() {
+    for (const callback of this.listeners) {
+      callback();
+    }
+  },
+
+  /**
+   * Unique id for profiles and games
+   */
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  /**
+   * Clean a profile name; throws if nothing is left
+   */
+  normalizeName(name) {
+    const clean = String(name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+    if (!clean) throw new Error('Profile name is empty');
+    return clean;
+  },
+
+  /**
+   * Every profile, oldest first
+   */
+  async listProfiles() {
+    const profiles = await this.getBackend().listProfiles();
+    return profiles.sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  /**
+   * Create a profile (and switch to it)
+   */
+  async createProfile(name) {
+    const now = Date.now();
+    const profile = await this.getBackend().saveProfile({
+      id: this.createId(),
+      name: this.normalizeName(name),
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.switchProfile(profile.id);
+    return profile;
+  },
+
+  /**
+   * Rename a profile
+   */
+  async renameProfile(id, name) {
+    const profile = await this.getBackend().getProfile(id);
+    if (!profile) throw new Error(`Unknown profile ${id}`);
+
+    const saved = await this.getBackend().saveProfile({ ...profile, name: this.normalizeName(name), updatedAt: Date.now() });
+    this.notify();
+    return saved;
+  },
+
+  /**
+   * Delete a profile and its history
+   */
+  async deleteProfile(id) {
+    await this.getBackend().deleteProfile(id);
+    this.notify();
+  },
+
+  /**
+   * Make a profile the active one (no password: profiles are local to this browser)
+   */
+  async switchProfile(id) {
+    if (!(await this.getBackend().getProfile(id))) {
+      throw new Error(`Unknown profile ${id}`);
+    }
+    await this.getBackend().setActiveProfileId(id);
+    this.notify();
+  },
+
+  /**
+   * The active profile, or null if none is selected
+   */
+  async getActiveProfile() {
+    const id = await this.getBackend().getActiveProfileId();
+    return id ? this.getBackend().getProfile(id) : null;
+  },
+
+  /**
+   * Active profile, created on first use so games are always saved somewhere
+   */
+  async ensureActiveProfile() {
+    const active = await this.getActiveProfile();
+    if (active) return active;
+
+    const profiles = await this.listProfiles();
+    if (profiles.length > 0) {
+      await this.switchProfile(profiles[0].id);
+      return profiles[0];
+    }
+    return this.createProfile('Player');
+  },
+
+  /**
+   * Turn GameSession.getResults() into a history entry
+   * The config keeps every setting of a game link (GameShare.buildUrl), so it can be replayed
+   */
+  toGameRecord(results) {
+    return {
+      id: this.createId(),
+      playedAt: Date.now(),
+      config: {
+        mode: results.config.mode,
+        seed: results.config.seed,
+        daily: Boolean(results.config.daily),
+        world: results.config.world,
+        difficulty: results.config.difficulty,
+        rounds: results.config.rounds,
+        timeLimit: results.config.timeLimit,
+        cropWidth: results.config.cropWidth,
+        cropHeight: results.config.cropHeight,
+        regions: [...(results.config.regions || [])],
+        tags: [...(results.config.tags || [])]
+      },
+      totalScore: results.totalScore,
+      rounds: results.rounds.map(round => ({
+        room: round.hint.room,
+        region: round.hint.region,
+        guessRoom: round.guess ? round.guess.room : null,
+        guessRegion: round.guess ? round.guess.region : null,
+        score: round.score ? round.score.total : 0,
+        distance: round.score ? round.score.distance : null,
+        elapsed: round.elapsed
+      }))
+    };
+  },
+
+  /**
+   * Whether a history entry has what the stats and the history need
+   * (checked on import, the file may have been edited)
+   */
+  isValidGame(game) {
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isStringOrNull = (value) => value === null || typeof value === 'string';
+    return isObject(game)
+      && this.isValidConfig(game.config)
+      && Number.isFinite(game.playedAt)
+      && Number.isFinite(game.totalScore)
+      && Array.isArray(game.rounds)
+      && game.rounds.every(round => isObject(round)
+        && typeof round.room === 'string'
+        && typeof round.region === 'string'
+        && isStringOrNull(round.guessRoom)
+        && isStringOrNull(round.guessRegion));
+  },
+
+  /**
+   * Whether a history entry's config can be shown and replayed (GameShare.buildUrl)
+   * A daily game needs its seed, other games may have none; games saved before
+   * the regions and tags were kept have neither
+   */
+  isValidConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return false;
+
+    const hasSeed = typeof config.seed === 'string';
+    const isOptionalList = (list) => list === undefined
+      || (Array.isArray(list) && list.every(item => typeof item === 'string'));
+    return (hasSeed || config.seed === null || config.seed === undefined)
+      && typeof config.daily === 'boolean'
+      && (!config.daily || hasSeed)
+      && Object.hasOwn(Scoring.DIFFICULTIES, String(config.difficulty))
+      && isOptionalList(config.regions)
+      && isOptionalList(config.tags);
+  },
+
+  /**
+   * Save a finished game in the active profile's history
+   */
+  async recordGame(results) {
+    const profile = await this.ensureActiveProfile();
+    const game = await this.getBackend().addGame(profile.id, this.toGameRecord(results));
+    this.notify();
+    return game;
+  },
+
+  /**
+   * A profile's games, most recent first
+   */
+  async getHistory(profileId) {
+    const games = (await this.getBackend().getGames(profileId)).filter(game => this.isValidGame(game));
+    return games.sort((a, b) => b.playedAt - a.playedAt);
+  },
+
+  /**
+   * Stats of a profile: games, best/average score, room and region accuracy
+   */
+  async getStats(profileId) {
+    const games = (await this.getBackend().getGames(profileId)).filter(game => this.isValidGame(game));
+    const rounds = games.flatMap(game => game.rounds);
+    const totals = games.map(game => game.totalScore);
+
+    const byDifficulty = {};
+    for (const game of games) {
+      const stats = byDifficulty[game.config.difficulty] || { games: 0, best: 0 };
+      stats.games++;
+      stats.best = Math.max(stats.best, game.totalScore);
+      byDifficulty[game.config.difficulty] = stats;
+    }
+
+    const ratio = (count) => (rounds.length > 0 ? count / rounds.length : 0);
+    return {
+      gamesPlayed: games.length,
+      roundsPlayed: rounds.length,
+      bestScore: totals.length > 0 ? Math.max(...totals) : 0,
+      averageScore: totals.length > 0 ? Math.round(totals.reduce((a, b) => a + b, 0) / totals.length) : 0,
+      roomAccuracy: ratio(rounds.filter(r => r.guessRoom && r.guessRoom.toUpperCase() === r.room.toUpperCase()).length),
+      regionAccuracy: ratio(rounds.filter(r => r.guessRegion && r.guessRegion === r.region).length),
+      byDifficulty
+    };
+  },
+
+  /**
+   * Export a profile and its history as a JSON string
+   */
+  async exportProfile(profileId) {
+    const profile = await this.getBackend().getProfile(profileId);
+    if (!profile) throw new Error(`Unknown profile ${profileId}`);
+
+    return JSON.stringify({
+      format: this.EXPORT_FORMAT,
+      version: this.EXPORT_VERSION,
+      exportedAt: Date.now(),
+      profile,
+      games: await this.getBackend().getGames(profileId)
+    }, null, 2);
+  },
+
+  /**
+   * Import an exported profile as a new profile (ids are regenerated)
+   * Malformed games are left out; resolves to { profile, skipped } (number of games left out)
+   */
+  async importProfile(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a JSON file');
+    }
+    if (!data || data.format !== this.EXPORT_FORMAT || !data.profile || !Array.isArray(data.games)) {
+      throw new Error('Not a Rain Guessr profile');
+    }
+    if (data.version > this.EXPORT_VERSION) {
+      throw new Error(`Profile format ${data.version} is newer than this version of the game`);
+    }
+
+    const games = data.games.filter(game => this.isValidGame(game));
+    if (data.games.length > 0 && games.length === 0) {
+      throw new Error('None of the games in this file can be read');
+    }
+
+    const names = (await this.listProfiles()).map(profile => profile.name);
+    let name = this.normalizeName(data.profile.name);
+    for (let i = 2; names.includes(name); i++) {
+      name = `${this.normalizeName(data.profile.name).slice(0, this.MAX_NAME_LENGTH - 4)} (${i})`;
+    }
+
+    const now = Date.now();
+    const profile = await this.getBackend().saveProfile({
+      id: this.createId(),
+      name,
+      createdAt: data.profile.createdAt || now,
+      updatedAt: now
+    });
+    for (const game of games) {
+      await this.getBackend().addGame(profile.id, { ...game, id: this.createId() });
+    }
+
+    await this.switchProfile(profile.id);
+    return { profile, skipped: data.games.length - games.length };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountStore;
+}
@@ -0,0 +1,215 @@
+/**
+ * Account Page Script
+ * Lists the profiles, switches between them and shows the active one's stats and history
+ */
+
+window.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('profile-form');
+    const nameInput = document.getElementById('profile-name');
+    const exportBtn = document.getElementById('export-profile');
+    const importInput = document.getElementById('import-profile');
+
+    if (form && nameInput) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await AccountStore.createProfile(nameInput.value);
+                nameInput.value = '';
+            } catch (error) {
+                showMessage('account.error', { message: error.message });
+            }
+        });
+    }
+    if (exportBtn) exportBtn.addEventListener('click', exportActiveProfile);
+    if (importInput) importInput.addEventListener('change', () => importProfileFile(importInput));
+
+    AccountStore.onChange(renderAccount);
+    // Dates and numbers follow the language
+    window.addEventListener('languagechange', renderAccount);
+    renderAccount();
+});
+
+/**
+ * Redraw the whole page from the store
+ */
+async function renderAccount() {
+    try {
+        const profiles = await AccountStore.listProfiles();
+        const active = await AccountStore.getActiveProfile();
+
+        renderProfileList(profiles, active);
+        if (active) {
+            renderStats(await AccountStore.getStats(active.id));
+            renderHistory(await AccountStore.getHistory(active.id));
+        } else {
+            renderStats(null);
+            renderHistory([]);
+        }
+    } catch (error) {
+        console.error('Could not show the profile:', error);
+        showMessage('account.error', { message: error.message });
+    }
+}
+
+/**
+ * One row per profile: switch, rename and delete buttons
+ */
+function renderProfileList(profiles, active) {
+    const list = document.getElementById('profile-list');
+    if (!list) return;
+    list.replaceChildren();
+
+    for (const profile of profiles) {
+        const item = document.createElement('li');
+        const isActive = active && active.id === profile.id;
+        item.classList.toggle('active', Boolean(isActive));
+
+        const name = document.createElement('span');
+        name.textContent = profile.name;
+        item.appendChild(name);
+
+        if (!isActive) {
+            item.appendChild(createButton('account.switch', () => AccountStore.switchProfile(profile.id)));
+        }
+        item.appendChild(createButton('account.rename', async () => {
+            const newName = window.prompt(I18n.t('account.renamePrompt'), profile.name);
+            if (newName === null) return;
+            try {
+                await AccountStore.renameProfile(profile.id, newName);
+            } catch (error) {
+                showMessage('account.error', { message: error.message });
+            }
+        }));
+        item.appendChild(createButton('account.delete', async () => {
+            if (window.confirm(I18n.t('account.deleteConfirm', { name: profile.name }))) {
+                await AccountStore.deleteProfile(profile.id);
+            }
+        }));
+
+        list.appendChild(item);
+    }
+
+    if (profiles.length === 0) {
+        const empty = document.createElement('li');
+        I18n.bind(empty, 'account.noProfile');
+        list.appendChild(empty);
+    }
+}
+
+/**
+ * Small button with a translated label
+ */
+function createButton(key, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    I18n.bind(button, key);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Stats of the active profile
+ */
+function renderStats(stats) {
+    const list = document.getElementById('profile-stats');
+    if (!list) return;
+    list.replaceChildren();
+    if (!stats) return;
+
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const rows = [
+        ['account.gamesPlayed', stats.gamesPlayed],
+        ['account.bestScore', stats.bestScore],
+        ['account.averageScore', stats.averageScore],
+        ['account.roomAccuracy', percent(stats.roomAccuracy)],
+        ['account.regionAccuracy', percent(stats.regionAccuracy)]
+    ];
+
+    for (const [key, value] of rows) {
+        const term = document.createElement('dt');
+        I18n.bind(term, key);
+        const definition = document.createElement('dd');
+        definition.textContent = value;
+        list.append(term, definition);
+    }
+}
+
+/**
+ * Game history of the active profile
+ */
+function renderHistory(games) {
+    const body = document.querySelector('#profile-history tbody');
+    if (!body) return;
+    body.replaceChildren();
+
+    for (const game of games) {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(game.playedAt).toLocaleString(I18n.language),
+            I18n.t(`world.${game.config.world || 'vanilla'}`),
+            I18n.t(`difficulty.${game.config.difficulty}`),
+            game.totalScore
+        ];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+
+        // Games with a seed can be played again
+        const replayCell = document.createElement('td');
+        if (game.config.seed) {
+            const link = document.createElement('a');
+            link.href = GameShare.buildUrl(game.config);
+            I18n.bind(link, 'account.replay');
+            replayCell.appendChild(link);
+        }
+        row.appendChild(replayCell);
+        body.appendChild(row);
+    }
+}
+
+/**
+ * Download the active profile as a JSON file
+ */
+async function exportActiveProfile() {
+    const active = await AccountStore.getActiveProfile();
+    if (!active) {
+        showMessage('account.noProfile');
+        return;
+    }
+
+    const blob = new Blob([await AccountStore.exportProfile(active.id)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `rain-guessr-${active.name.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Import the profile file picked by the player
+ */
+async function importProfileFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+        const { profile, skipped } = await AccountStore.importProfile(await file.text());
+        if (skipped > 0) {
+            showMessage('account.importedSkipped', { name: profile.name, skipped });
+        } else {
+            showMessage('account.imported', { name: profile.name });
+        }
+    } catch (error) {
+        showMessage('account.error', { message: error.message });
+    }
+    input.value = '';
+}
+
+/**
+ * Show a message under the backup buttons
+ */
+function showMessage(key, params) {
+    I18n.bind(document.getElementById('account-message'), key, params);
+}
@@ -0,0 +1,24 @@
+/**
+ * Art-amator game mode for Rain-Guessr
+ * Classic rounds, but only with screenshots tagged "graffiti"
+ * (map-reader/pic/tags.json, edited with html/tagging.html)
+ */
+
+GameModes.register({
+  id: 'art-amator',
+  hintFilter: { tags: ['graffiti'] },
+  requiresPictures: true, // A random room has no graffiti to show
+  defaults: {
+    focusCrop: true, // The crop always shows the tagged graffiti
+    edgeMargin: 1 // Graffiti are often close to the room walls
+  },
+  // Graffiti are rare and memorable: finding the room matters more than the exact spot
+  scoring: {
+    room: { max: 2500 },
+    distance: { max: 1000 },
+    inRoom: { max: 1500 }
+  },
+  messages: {
+    'game.roundStart': 'artAmator.roundStart'
+  }
+});
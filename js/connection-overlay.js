@@ -0,0 +1,122 @@
+/**
+ * Connection Overlay for Rain-Guessr
+ * Draws the room connections (from RoomGraph) and the gates between regions
+ * Each kind of link is a single <path>, so the overlay stays cheap to pan and zoom
+ */
+
+const ConnectionOverlay = {
+  group: null,
+  visible: false,
+
+  /**
+   * Build the overlay paths (RoomGraph must be loaded)
+   */
+  init() {
+    this.group = document.getElementById('connections-group');
+    if (!this.group) {
+      console.error('Connections group not found');
+      return;
+    }
+
+    this.render();
+    this.setVisible(SettingsStore.get('showConnections'));
+    SettingsStore.onChange('showConnections', visible => this.setVisible(visible));
+  },
+
+  /**
+   * Center of a room on the map, or null if the room isn't on the map
+   */
+  getRoomCenter(name) {
+    const bounds = RoomRenderer.getRoomBounds(RoomRenderer.findRoom(name));
+    if (!bounds) return null;
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  },
+
+  /**
+   * Collect the segments: room-to-room links and links going through a gate
+   */
+  getSegments() {
+    const links = [];
+    const gates = [];
+
+    for (const node of Object.values(RoomGraph.nodes)) {
+      const from = this.getRoomCenter(node.name);
+
+      if (from) {
+        for (const neighbour of node.neighbours) {
+          // Each link only once
+          if (neighbour < node.name) continue;
+          const to = this.getRoomCenter(neighbour);
+          if (to) links.push([from, to]);
+        }
+      } else if (node.tags.includes('GATE')) {
+        // Gate rooms aren't drawn: link the rooms on each side of the gate
+        const sides = node.neighbours.map(n => this.getRoomCenter(n)).filter(Boolean);
+        for (let i = 0; i < sides.length; i++) {
+          for (let j = i + 1; j < sides.length; j++) {
+            gates.push([sides[i], sides[j]]);
+          }
+        }
+      }
+    }
+
+    return { links, gates };
+  },
+
+  /**
+   * Turn segments into path data
+   */
+  toPathData(segments) {
+    return segments
+      .map(([a, b]) => `M${a.x.toFixed(1)} ${a.y.toFixed(1)}L${b.x.toFixed(1)} ${b.y.toFixed(1)}`)
+      .join('');
+  },
+
+  /**
+   * Draw the overlay
+   */
+  render() {
+    if (!this.group) return;
+
+    const { links, gates } = this.getSegments();
+    this.group.replaceChildren();
+
+    for (const [segments, className] of [[links, 'connection-link'], [gates, 'gate-link']]) {
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.setAttribute('d', this.toPathData(segments));
+      path.setAttribute('class', className);
+      path.setAttribute('vector-effect', 'non-scaling-stroke');
+      this.group.appendChild(path);
+    }
+
+    console.log(`Connection overlay: ${links.length} links, ${gates.length} gate links`);
+  },
+
+  /**
+   * Show or hide the overlay (and remember the choice)
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    SettingsStore.set('showConnections', visible);
+    if (this.group) {
+      this.group.classList.toggle('hidden', !visible);
+    }
+
+    const button = document.getElementById('connections-btn');
+    if (button) {
+      button.classList.toggle('active', visible);
+    }
+  },
+
+  /**
+   * Toggle the overlay
+   */
+  toggle() {
+    this.setVisible(!this.visible);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConnectionOverlay;
+}
@@ -0,0 +1,262 @@
+/**
+ * Game Setup Script
+ * Chooses the game mode, world, difficulty preset (or custom settings) and seed,
+ * then starts map.html with that configuration (see GameShare.buildUrl)
+ */
+
+let regionNames = {}; // Region code -> English name, for the chosen world
+
+window.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('setup-form');
+    const worldSelect = document.getElementById('world-variant');
+    const presetSelect = document.getElementById('preset');
+    if (!form || !worldSelect || !presetSelect) return;
+
+    await GameModes.load();
+    fillModeList();
+    fillWorldOptions();
+    fillDifficultyOptions();
+
+    const saved = SettingsStore.get('difficulty');
+    presetSelect.value = GameSession.PRESETS[saved] ? saved : 'normal';
+    applyPreset();
+
+    presetSelect.addEventListener('change', () => {
+        if (presetSelect.value !== 'custom') {
+            SettingsStore.set('difficulty', presetSelect.value);
+        }
+        applyPreset();
+    });
+    worldSelect.addEventListener('change', () => {
+        SettingsStore.set('worldVariant', worldSelect.value);
+        fillRegionList();
+    });
+    form.addEventListener('input', updatePlayLink);
+    form.addEventListener('change', updatePlayLink);
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    fillRegionList();
+    fillTagList();
+    window.addEventListener('languagechange', renderRegionList);
+});
+
+/**
+ * One radio button per registered game mode
+ */
+function fillModeList() {
+    const list = document.getElementById('mode-list');
+    if (!list) return;
+
+    for (const [index, mode] of GameModes.list().entries()) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'mode';
+        input.value = mode.id;
+        input.checked = index === 0;
+
+        const name = document.createElement('span');
+        I18n.bind(name, mode.labelKey);
+        const description = document.createElement('small');
+        I18n.bind(description, mode.descriptionKey);
+
+        label.append(input, name, description);
+        list.appendChild(label);
+    }
+}
+
+/**
+ * World variants, the saved one selected
+ */
+function fillWorldOptions() {
+    const worldSelect = document.getElementById('world-variant');
+
+    for (const variant of RoomRenderer.WORLD_VARIANTS) {
+        const option = document.createElement('option');
+        option.value = variant.id;
+        option.textContent = variant.label;
+        option.setAttribute('data-i18n', `world.${variant.id}`);
+        worldSelect.appendChild(option);
+    }
+
+    const saved = SettingsStore.get('worldVariant');
+    worldSelect.value = RoomRenderer.getVariant(saved) ? saved : 'vanilla';
+}
+
+/**
+ * Scoring curves of the custom settings
+ */
+function fillDifficultyOptions() {
+    const select = document.getElementById('difficulty');
+    if (!select) return;
+
+    for (const name of Object.keys(Scoring.DIFFICULTIES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        I18n.bind(option, `difficulty.${name}`);
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Show the chosen preset in the detail fields, which are only editable for a custom game
+ */
+function applyPreset() {
+    const preset = GameSession.PRESETS[document.getElementById('preset').value];
+    const fieldset = document.getElementById('custom-settings');
+
+    if (preset) {
+        document.getElementById('difficulty').value = preset.difficulty;
+        document.getElementById('rounds').value = preset.rounds;
+        document.getElementById('time-limit').value = preset.timeLimit;
+        document.getElementById('crop-size').value = `${preset.cropWidth}x${preset.cropHeight}`;
+        for (const checkbox of fieldset.querySelectorAll('input[type="checkbox"]')) {
+            checkbox.checked = false;
+        }
+    }
+    fieldset.disabled = Boolean(preset);
+    updatePlayLink();
+}
+
+/**
+ * Region checkboxes of the chosen world (names from the map data)
+ */
+async function fillRegionList() {
+    const list = document.getElementById('region-list');
+    const world = document.getElementById('world-variant').value;
+    if (!list) return;
+
+    const names = {};
+    try {
+        const data = await (await fetch('../json/map-data.json')).json();
+        Object.assign(names, data.regionNames);
+
+        if (world !== 'vanilla') {
+            const downpour = await (await fetch(RoomRenderer.DOWNPOUR_DATA_PATH)).json();
+            Object.assign(names, downpour.regionNames.downpour, downpour.regionNames[world] || {});
+        }
+    } catch (error) {
+        console.warn('Could not load the region list:', error);
+    }
+
+    // The world may have changed while loading
+    if (world !== document.getElementById('world-variant').value) return;
+
+    regionNames = names;
+    renderRegionList();
+}
+
+/**
+ * Region checkboxes, keeping the checked ones
+ */
+function renderRegionList() {
+    const list = document.getElementById('region-list');
+    if (!list) return;
+
+    const checked = new Set(getCheckedValues('region-list'));
+    list.replaceChildren();
+    for (const code of Object.keys(regionNames).sort()) {
+        list.appendChild(createCheckbox(code, `${code} - ${I18n.regionName(regionNames[code])}`, checked.has(code)));
+    }
+    updatePlayLink();
+}
+
+/**
+ * Tag checkboxes (hidden when no picture is tagged)
+ */
+async function fillTagList() {
+    const list = document.getElementById('tag-list');
+    const container = document.getElementById('tag-filter');
+    if (!list) return;
+
+    const tags = (await ScreenshotCatalog.load()) ? ScreenshotCatalog.getTags() : [];
+    list.replaceChildren(...tags.map(tag => createCheckbox(tag, tag, false)));
+    if (container) container.hidden = tags.length === 0;
+    updateModeAvailability();
+}
+
+/**
+ * Disable the modes that need pictures when none match their filter
+ */
+function updateModeAvailability() {
+    for (const input of document.querySelectorAll('#mode-list input')) {
+        const mode = GameModes.get(input.value);
+        const available = !mode.requiresPictures || ScreenshotCatalog.query({ ...mode.hintFilter, inMap: true }).length > 0;
+        input.disabled = !available;
+
+        const note = input.parentElement.querySelector('.mode-unavailable');
+        if (!available && !note) {
+            const text = document.createElement('small');
+            text.className = 'mode-unavailable';
+            I18n.bind(text, 'setup.modeUnavailable');
+            input.parentElement.appendChild(text);
+        }
+    }
+
+    // Fall back to the first available mode
+    if (!document.querySelector('#mode-list input:checked:enabled')) {
+        const first = document.querySelector('#mode-list input:enabled');
+        if (first) first.checked = true;
+    }
+    updatePlayLink();
+}
+
+/**
+ * Labelled checkbox
+ */
+function createCheckbox(value, text, checked) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = value;
+    input.checked = checked;
+    label.append(input, ` ${text}`);
+    return label;
+}
+
+/**
+ * Values of the checked boxes of a list
+ */
+function getCheckedValues(id) {
+    return [...document.querySelectorAll(`#${id} input:checked`)].map(input => input.value);
+}
+
+/**
+ * Game configuration chosen on the page
+ */
+function getSetupConfig() {
+    const mode = document.querySelector('#mode-list input:checked');
+    const preset = GameSession.PRESETS[document.getElementById('preset').value];
+    const seed = document.getElementById('game-seed').value.trim();
+    const config = {
+        mode: mode ? mode.value : GameModes.DEFAULT_MODE,
+        world: document.getElementById('world-variant').value,
+        seed: seed || null
+    };
+
+    if (preset) {
+        return { ...config, ...preset };
+    }
+
+    const [cropWidth, cropHeight] = document.getElementById('crop-size').value.split('x').map(Number);
+    return {
+        ...config,
+        difficulty: document.getElementById('difficulty').value,
+        rounds: Math.min(Math.max(Math.round(Number(document.getElementById('rounds').value)) || 1, 1), GameShare.MAX_ROUNDS),
+        timeLimit: Math.min(Math.max(Math.round(Number(document.getElementById('time-limit').value)) || 0, 0), GameShare.MAX_TIME_LIMIT),
+        cropWidth,
+        cropHeight,
+        regions: getCheckedValues('region-list'),
+        tags: getCheckedValues('tag-list')
+    };
+}
+
+/**
+ * Point PLAY to map.html with the chosen configuration
+ */
+function updatePlayLink() {
+    const playLink = document.getElementById('play-link');
+    if (playLink) {
+        playLink.href = GameShare.buildUrl(getSetupConfig());
+    }
+}
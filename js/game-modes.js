@@ -0,0 +1,149 @@
+/**
+ * Game modes for Rain-Guessr
+ * Every mode registers itself here; the setup page lists them and
+ * GameSession plays them with the classic round flow
+ * Mode scripts are listed in json/game-modes.json, read by the pages (load())
+ * and by leaderboard-server.js, so adding a mode doesn't mean editing them
+ */
+
+const GameModes = {
+  DEFAULT_MODE: 'classic',
+  MANIFEST_PATH: '../json/game-modes.json',
+  SCRIPT_PATH: '../js', // Mode scripts are listed relative to it
+
+  modes: {}, // Id -> mode, in registration order
+  loading: null, // Promise of load()
+
+  /**
+   * Load the mode scripts of the manifest, once; resolves to every registered mode
+   * A script that fails to load only leaves its mode out
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const response = await fetch(this.MANIFEST_PATH);
+          if (!response.ok) throw new Error(`Failed to load game modes, status: ${response.status}`);
+
+          const manifest = await response.json();
+          for (const file of manifest.modes || []) {
+            try {
+              await this.loadScript(`${this.SCRIPT_PATH}/${file}`);
+            } catch (error) {
+              console.error(error);
+            }
+          }
+        } catch (error) {
+          console.error('Error loading game modes:', error);
+        }
+        return this.list();
+      })();
+    }
+    return this.loading;
+  },
+
+  /**
+   * Add a script to the page; resolves once it has run
+   */
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Could not load game mode script ${src}`));
+      document.head.appendChild(script);
+    });
+  },
+
+  /**
+   * Register (or replace) a game mode
+   * mode: {
+   *   id,          used in URLs and saved games
+   *   labelKey,    translation of its name (defaults to mode.<id>)
+   *   descriptionKey, translation of its description (defaults to mode.<id>.description)
+   *   defaults,    GameSession config overrides (rounds, timeLimit...)
+   *   hintFilter,  ScreenshotCatalog.query() filter the hints must match (tags...)
+   *   requiresPictures, no random-room fallback when no picture matches
+   *   scoring,     Scoring.DIFFICULTIES components overriding the difficulty's ones
+   *   messages     translation keys replacing the game's ones (e.g. game.roundStart)
+   * }
+   */
+  register(mode) {
+    if (!mode || !mode.id) throw new Error('A game mode needs an id');
+
+    this.modes[mode.id] = {
+      labelKey: `mode.${mode.id}`,
+      descriptionKey: `mode.${mode.id}.description`,
+      defaults: {},
+      hintFilter: {},
+      requiresPictures: false,
+      scoring: {},
+      messages: {},
+      ...mode
+    };
+    return this.modes[mode.id];
+  },
+
+  /**
+   * A mode by id, or null if it isn't registered
+   */
+  get(id) {
+    return this.modes[id] || null;
+  },
+
+  /**
+   * Every registered mode
+   */
+  list() {
+    return Object.values(this.modes);
+  },
+
+  /**
+   * Mode of a game config (the default mode if unknown)
+   */
+  getMode(config) {
+    return this.get(config.mode) || this.get(this.DEFAULT_MODE);
+  },
+
+  /**
+   * Scoring curves of a game: its difficulty, with the mode's overrides
+   */
+  getScoringParams(config) {
+    const params = Scoring.getParams(config.difficulty);
+    const overrides = this.getMode(config).scoring;
+
+    const merged = {};
+    for (const component of Object.keys(params)) {
+      merged[component] = { ...params[component], ...(overrides[component] || {}) };
+    }
+    return merged;
+  },
+
+  /**
+   * Translation key of a game message in a game's mode
+   */
+  getMessageKey(config, key) {
+    return this.getMode(config).messages[key] || key;
+  },
+
+  /**
+   * Hint filter of a game: the mode's filter, the allowed regions and the required tags
+   */
+  getHintFilter(config) {
+    const filter = { ...this.getMode(config).hintFilter };
+
+    const tags = [...(filter.tags || []), ...(config.tags || [])];
+    if (tags.length > 0) filter.tags = [...new Set(tags)];
+    if (config.regions && config.regions.length > 0) filter.regions = config.regions;
+    return filter;
+  }
+};
+
+GameModes.register({
+  id: 'classic'
+});
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameModes;
+}
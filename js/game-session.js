@@ -0,0 +1,379 @@
+/**
+ * Game Session Controller for Rain-Guessr
+ * Drives a classic game: hint -> timer -> guess -> score -> next round -> results
+ */
+
+const GameSession = {
+  // Session states, in the order a game goes through them
+  STATES: {
+    LOADING: 'loading',
+    GUESSING: 'guessing',
+    REVIEWING: 'reviewing',
+    FINISHED: 'finished',
+    ERROR: 'error' // The round's hint couldn't be picked (nextRound() retries it)
+  },
+
+  // Default configuration (overridable through start())
+  DEFAULT_CONFIG: {
+    mode: 'classic', // See GameModes
+    seed: null, // Every random choice of the game derives from it, a new one is drawn when missing
+    daily: false, // Daily challenge (see getDailyConfig)
+    world: 'vanilla', // World variant the map is loaded with, see RoomRenderer.WORLD_VARIANTS
+    difficulty: 'normal', // See Scoring.DIFFICULTIES, replaced by the difficulty setting
+    rounds: 5,
+    timeLimit: 0, // Seconds per round, 0 = no limit
+    cropWidth: 300, // Hint crop size in screenshot pixels
+    cropHeight: 200,
+    edgeMargin: 3, // Tiles kept between the hint and the room borders
+    focusCrop: false, // Crops must contain the picture's focus point (see precompile-catalog.py)
+    hintMargin: 0.15, // Fallback without pictures: fraction of the room kept away from its borders
+    regions: [], // Region codes hints are taken from, empty = every region
+    tags: [] // Screenshot tags the hints must have (on top of the mode's filter)
+  },
+
+  // Setup presets (the scoring curves are Scoring.DIFFICULTIES of the same name)
+  PRESETS: {
+    easy: { difficulty: 'easy', rounds: 5, timeLimit: 0, cropWidth: 400, cropHeight: 260 },
+    normal: { difficulty: 'normal', rounds: 5, timeLimit: 0, cropWidth: 300, cropHeight: 200 },
+    hard: { difficulty: 'hard', rounds: 5, timeLimit: 60, cropWidth: 200, cropHeight: 130 }
+  },
+
+  // Daily challenge: the same game for everyone on a given (UTC) day
+  DAILY_CONFIG: {
+    daily: true,
+    world: 'vanilla',
+    difficulty: 'normal',
+    rounds: 5,
+    timeLimit: 0
+  },
+
+  DAILY_SEED_PREFIX: 'daily-', // Followed by the date (YYYY-MM-DD)
+
+  config: null,
+  random: null, // Generator of the current round
+  state: 'loading',
+  rounds: [],
+  currentRound: -1,
+  roundStartTime: 0,
+  timerId: null,
+  listeners: {},
+
+  /**
+   * Subscribe to a session event
+   * Events: statechange, roundstart, tick, guess, finish, error
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+    return () => this.off(event, callback);
+  },
+
+  /**
+   * Unsubscribe from a session event
+   */
+  off(event, callback) {
+    const callbacks = this.listeners[event];
+    if (!callbacks) return;
+    this.listeners[event] = callbacks.filter(cb => cb !== callback);
+  },
+
+  /**
+   * Notify every listener of an event
+   */
+  emit(event, data) {
+    for (const callback of this.listeners[event] || []) {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    }
+  },
+
+  /**
+   * Change the session state and notify listeners
+   */
+  setState(newState) {
+    const previous = this.state;
+    if (previous === newState) return;
+
+    this.state = newState;
+    this.emit('statechange', { state: newState, previous });
+  },
+
+  /**
+   * Start a new game (the map must already be loaded)
+   */
+  start(config = {}) {
+    this.stopTimer();
+
+    let mode = GameModes.get(config.mode || this.DEFAULT_CONFIG.mode);
+    if (!mode) {
+      console.warn(`Unknown game mode "${config.mode}", playing ${GameModes.DEFAULT_MODE}`);
+      mode = GameModes.get(GameModes.DEFAULT_MODE);
+    }
+    // Settings the config leaves out come from the preset of its difficulty (the setting by default)
+    const difficulty = config.difficulty || mode.defaults.difficulty || SettingsStore.get('difficulty');
+    this.config = {
+      ...this.DEFAULT_CONFIG,
+      ...mode.defaults,
+      ...this.PRESETS[difficulty],
+      difficulty,
+      ...config,
+      mode: mode.id
+    };
+    if (this.config.seed === null || this.config.seed === undefined || this.config.seed === '') {
+      this.config.seed = SeededRandom.randomSeed();
+    }
+    this.config.seed = String(this.config.seed);
+    this.rounds = [];
+    this.currentRound = -1;
+
+    console.log('Starting game session:', this.config);
+    return this.nextRound();
+  },
+
+  /**
+   * Start a new game with the same settings and a new seed
+   */
+  restart() {
+    return this.start({ ...this.config, seed: null, daily: false });
+  },
+
+  /**
+   * Seed of the daily challenge of a date (UTC day)
+   */
+  getDailySeed(date = new Date()) {
+    return `${this.DAILY_SEED_PREFIX}${date.toISOString().slice(0, 10)}`;
+  },
+
+  /**
+   * Configuration of the daily challenge of a date
+   */
+  getDailyConfig(date = new Date()) {
+    return { ...this.DAILY_CONFIG, seed: this.getDailySeed(date) };
+  },
+
+  /**
+   * Generator of a round: each round has its own sequence so a retried
+   * picture in one round doesn't change the next ones
+   */
+  createRoundRandom(index) {
+    return SeededRandom.create(`${this.config.seed}/${index}`);
+  },
+
+  /**
+   * Get the hint for a new round: a cropped screenshot when pictures are available,
+   * otherwise a random point inside a random room (unless the mode needs pictures)
+   */
+  async pickHint() {
+    const filter = GameModes.getHintFilter(this.config);
+    const mode = GameModes.getMode(this.config);
+
+    if (typeof HintService !== 'undefined' && HintService.isReady(filter)) {
+      try {
+        return await HintService.generate({
+          random: this.random,
+          filter,
+          focus: this.config.focusCrop,
+          cropWidth: this.config.cropWidth,
+          cropHeight: this.config.cropHeight,
+          edgeMargin: this.config.edgeMargin
+        });
+      } catch (error) {
+        if (mode.requiresPictures) throw error;
+        console.warn('Hint service failed, falling back to a random room:', error);
+      }
+    } else if (mode.requiresPictures) {
+      throw new Error(`No pictures available for the ${mode.id} mode`);
+    }
+    return this.pickRandomPoint();
+  },
+
+  /**
+   * Pick a random room and a point inside it (away from its borders)
+   */
+  pickRandomPoint() {
+    const regions = this.config.regions || [];
+    const rooms = Object.entries(RoomRenderer.allRooms)
+      .filter(([regionCode]) => regions.length === 0 || regions.includes(regionCode))
+      .flatMap(([, regionRooms]) => regionRooms)
+      .filter(room => room && room.width > 0 && room.height > 0);
+
+    if (rooms.length === 0) {
+      throw new Error('No rooms available to pick a hint from');
+    }
+
+    const room = this.random.pick(rooms);
+    const margin = this.config.hintMargin;
+    const local = {
+      x: this.random.float(margin, 1 - margin) * room.width,
+      y: this.random.float(margin, 1 - margin) * room.height
+    };
+
+    return {
+      room: room.fullName,
+      region: room.regionCode,
+      point: RoomRenderer.localToWorld(room, local),
+      local,
+      image: null
+    };
+  },
+
+  /**
+   * Score a guess against the current round's hint
+   * Distances are measured on the flat map so both map modes score the same
+   */
+  scoreGuess(guess, round) {
+    return Scoring.score({
+      guessPoint: guess ? this.getGuessPoint(guess, 'flat') : null,
+      guessRoom: guess ? RoomRenderer.findRoom(guess.room) : null,
+      answerRoom: RoomRenderer.findRoom(round.hint.room),
+      hintPoint: this.getHintPoint(round.hint, 'flat'),
+      elapsed: round.elapsed
+    }, GameModes.getScoringParams(this.config));
+  },
+
+  /**
+   * World position of a hint in a map mode (defaults to the current one)
+   */
+  getHintPoint(hint, mode) {
+    const room = RoomRenderer.findRoom(hint.room);
+    return RoomRenderer.localToWorld(room, hint.local, mode) || hint.point;
+  },
+
+  /**
+   * World position of a guess in a map mode (defaults to the current one)
+   */
+  getGuessPoint(guess, mode) {
+    const room = RoomRenderer.findRoom(guess.room);
+    return RoomRenderer.localToWorld(room, guess.local, mode) || guess.point;
+  },
+
+  /**
+   * Start the next round, or finish the game if all rounds are played
+   */
+  async nextRound() {
+    if (this.state === this.STATES.LOADING && this.currentRound >= 0) return;
+
+    if (this.currentRound + 1 >= this.config.rounds) {
+      this.finish();
+      return;
+    }
+
+    this.setState(this.STATES.LOADING);
+
+    this.random = this.createRoundRandom(this.currentRound + 1);
+    let hint;
+    try {
+      hint = await this.pickHint();
+    } catch (error) {
+      console.error('Could not pick the round hint:', error);
+      this.setState(this.STATES.ERROR);
+      this.emit('error', error);
+      return;
+    }
+    this.currentRound++;
+    this.rounds.push({
+      index: this.currentRound,
+      hint,
+      guess: null,
+      score: null,
+      elapsed: 0
+    });
+
+    this.roundStartTime = performance.now();
+    this.startTimer();
+    this.setState(this.STATES.GUESSING);
+    this.emit('roundstart', this.getCurrentRound());
+  },
+
+  /**
+   * Confirm the player's guess for the current round
+   * guess: { point: {x, y}, local, room, region } or null when time ran out
+   */
+  submitGuess(guess) {
+    if (this.state !== this.STATES.GUESSING) {
+      console.warn('Cannot submit a guess outside of the guessing state');
+      return null;
+    }
+
+    this.stopTimer();
+
+    const round = this.getCurrentRound();
+    round.elapsed = this.getElapsed();
+    round.guess = guess;
+    round.score = this.scoreGuess(guess, round);
+
+    console.log(`Round ${round.index + 1} scored:`, round.score);
+    this.setState(this.STATES.REVIEWING);
+    this.emit('guess', round);
+    return round;
+  },
+
+  /**
+   * End the game and publish the results
+   */
+  finish() {
+    this.stopTimer();
+    this.setState(this.STATES.FINISHED);
+    this.emit('finish', this.getResults());
+  },
+
+  /**
+   * Start the per-round timer (ticks every 100ms)
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timerId = setInterval(() => {
+      const elapsed = this.getElapsed();
+      this.emit('tick', { elapsed, timeLimit: this.config.timeLimit });
+
+      if (this.config.timeLimit > 0 && elapsed >= this.config.timeLimit) {
+        this.submitGuess(null);
+      }
+    }, 100);
+  },
+
+  /**
+   * Stop the per-round timer
+   */
+  stopTimer() {
+    if (this.timerId !== null) {
+      clearInterval(this.timerId);
+      this.timerId = null;
+    }
+  },
+
+  /**
+   * Seconds elapsed since the current round started
+   */
+  getElapsed() {
+    return (performance.now() - this.roundStartTime) / 1000;
+  },
+
+  /**
+   * Get the round being played (or reviewed)
+   */
+  getCurrentRound() {
+    return this.rounds[this.currentRound] || null;
+  },
+
+  /**
+   * Get the summary of the whole game
+   */
+  getResults() {
+    return {
+      config: this.config,
+      rounds: this.rounds,
+      totalScore: this.rounds.reduce((sum, round) => sum + (round.score ? round.score.total : 0), 0)
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameSession;
+}
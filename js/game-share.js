@@ -0,0 +1,162 @@
+/**
+ * Game sharing for Rain-Guessr
+ * Text/emoji summary of a finished game, and game links: the URL carries the
+ * seed and settings, so opening it starts the same game
+ */
+
+const GameShare = {
+  // Round icons: right room, right region, wrong region, no guess
+  ICONS: {
+    room: '🟩',
+    region: '🟨',
+    miss: '🟥',
+    none: '⬛'
+  },
+
+  MAX_ROUNDS: 20,
+  MAX_TIME_LIMIT: 600,
+  MIN_CROP_SIZE: 50,
+
+  /**
+   * Link to map.html starting the game of a config (daily challenge, or seed and settings)
+   * Without a seed the link starts a new random game with these settings
+   * base: URL the link is relative to (the current page by default)
+   */
+  buildUrl(config, base = window.location.href) {
+    const params = new URLSearchParams();
+
+    if (config.daily) {
+      params.set('daily', config.seed.slice(GameSession.DAILY_SEED_PREFIX.length));
+    } else {
+      if (config.mode && config.mode !== 'classic') params.set('mode', config.mode);
+      params.set('world', config.world || 'vanilla');
+      if (config.seed) params.set('seed', config.seed);
+      params.set('difficulty', config.difficulty);
+      params.set('rounds', config.rounds);
+      if (config.timeLimit > 0) params.set('time', config.timeLimit);
+      if (config.cropWidth && config.cropHeight) params.set('crop', `${config.cropWidth}x${config.cropHeight}`);
+      if (config.regions && config.regions.length > 0) params.set('regions', config.regions.join(','));
+      if (config.tags && config.tags.length > 0) params.set('tags', config.tags.join(','));
+    }
+
+    return new URL(`map.html?${params}`, base).href;
+  },
+
+  /**
+   * Read a game link (its query string) back into a GameSession.start() config
+   * Missing or invalid values are left out, so the defaults and settings apply
+   */
+  parseUrl(search = window.location.search) {
+    const params = new URLSearchParams(search);
+
+    // The daily challenge ignores every other parameter
+    if (params.has('daily')) {
+      const date = new Date(params.get('daily') || Date.now());
+      return GameSession.getDailyConfig(isNaN(date) ? new Date() : date);
+    }
+
+    const config = {};
+    const text = (name) => (params.get(name) || '').trim();
+    const integer = (name, min, max) => {
+      const value = Number(text(name));
+      return text(name) !== '' && Number.isInteger(value) && value >= min && value <= max ? value : undefined;
+    };
+
+    if (/^[a-z][\w-]*$/i.test(text('mode'))) config.mode = text('mode');
+    if (/^[a-z]+$/.test(text('world'))) config.world = text('world');
+    if (text('seed')) config.seed = text('seed');
+    if (Scoring.DIFFICULTIES[text('difficulty')]) config.difficulty = text('difficulty');
+
+    const rounds = integer('rounds', 1, this.MAX_ROUNDS);
+    if (rounds !== undefined) config.rounds = rounds;
+    const timeLimit = integer('time', 0, this.MAX_TIME_LIMIT);
+    if (timeLimit !== undefined) config.timeLimit = timeLimit;
+
+    // Crop size in screenshot pixels, e.g. crop=300x200
+    const crop = text('crop').match(/^(\d+)x(\d+)$/);
+    if (crop) {
+      const [width, height] = [Number(crop[1]), Number(crop[2])];
+      if (width >= this.MIN_CROP_SIZE && height >= this.MIN_CROP_SIZE) {
+        config.cropWidth = width;
+        config.cropHeight = height;
+      }
+    }
+
+    // Comma-separated lists, e.g. regions=SU,HI
+    const list = (name) => text(name).split(',').map(item => item.trim()).filter(item => /^\w+$/.test(item));
+    if (list('regions').length > 0) config.regions = list('regions').map(region => region.toUpperCase());
+    if (list('tags').length > 0) config.tags = list('tags');
+
+    return config;
+  },
+
+  /**
+   * Icon of a round: right room, right region, miss or no guess
+   */
+  getRoundIcon(round) {
+    if (!round.guess || !round.score) return this.ICONS.none;
+    if (round.score.roomCorrect) return this.ICONS.room;
+    if (round.score.regionCorrect) return this.ICONS.region;
+    return this.ICONS.miss;
+  },
+
+  /**
+   * Shareable summary of GameSession.getResults(): header, one line per round, total and link
+   */
+  summarize(results) {
+    const config = results.config;
+    const lines = [];
+
+    if (config.daily) {
+      lines.push(I18n.t('share.dailyHeader', { date: config.seed.slice(GameSession.DAILY_SEED_PREFIX.length) }));
+    } else {
+      lines.push(I18n.t('share.header', {
+        mode: I18n.t(GameModes.getMode(config).labelKey),
+        world: I18n.t(`world.${config.world}`),
+        difficulty: I18n.t(`difficulty.${config.difficulty}`)
+      }));
+    }
+
+    lines.push(results.rounds.map(round => this.getRoundIcon(round)).join(''));
+    for (const round of results.rounds) {
+      lines.push(I18n.t('share.round', {
+        icon: this.getRoundIcon(round),
+        round: round.index + 1,
+        score: round.score ? round.score.total : 0,
+        time: Math.round(round.elapsed)
+      }));
+    }
+
+    lines.push(I18n.t('share.total', {
+      total: results.totalScore,
+      max: Scoring.getMaxScore(GameModes.getScoringParams(config)) * results.rounds.length
+    }));
+    lines.push(this.buildUrl(config));
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Share the summary (share sheet when available, else clipboard)
+   * Resolves to 'shared' or 'copied'; rejects when neither works
+   */
+  async share(results) {
+    const text = this.summarize(results);
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ text });
+        return 'shared';
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+      }
+    }
+    await navigator.clipboard.writeText(text);
+    return 'copied';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameShare;
+}
@@ -0,0 +1,383 @@
+/**
+ * Game UI Script
+ * Connects the GameSession to the map page (hint, timer, guess, results)
+ */
+
+// Map pixels kept around the guess and the answer when revealing them
+const REVEAL_PADDING = 400;
+
+/**
+ * Wire the session events to the page once the DOM is ready
+ */
+window.addEventListener('DOMContentLoaded', () => {
+    GameSession.on('statechange', ({ state }) => {
+        if (state === GameSession.STATES.LOADING) {
+            setScoreInfo('game.loadingHint');
+        }
+    });
+    GameSession.on('roundstart', onRoundStart);
+    GameSession.on('tick', onTick);
+    GameSession.on('guess', onGuess);
+    GameSession.on('finish', onFinish);
+    GameSession.on('error', onRoundError);
+    GuessPin.onChange(onPinChange);
+
+    // Markers follow their rooms when switching between flat and layered map
+    window.addEventListener('mapmodechange', () => {
+        const round = GameSession.getCurrentRound();
+        if (round && GameSession.state === GameSession.STATES.REVIEWING) {
+            drawAnswer(round);
+        }
+    });
+
+    const confirmBtn = document.getElementById('confirm-btn');
+    const nextBtn = document.getElementById('next-btn');
+    const playAgainBtn = document.getElementById('play-again-btn');
+    const shareBtn = document.getElementById('share-btn');
+
+    if (confirmBtn) confirmBtn.addEventListener('click', confirmGuess);
+    if (nextBtn) nextBtn.addEventListener('click', () => handleSession(GameSession.nextRound()));
+    if (playAgainBtn) {
+        playAgainBtn.addEventListener('click', () => {
+            document.getElementById('end-popup').classList.add('hidden');
+            handleSession(GameSession.restart());
+        });
+    }
+    if (shareBtn) shareBtn.addEventListener('click', shareResults);
+
+    // Key bindings come from the settings
+    document.addEventListener('keydown', (e) => {
+        if (GameSession.state === GameSession.STATES.GUESSING && SettingsStore.matchesKey('confirm', e)) {
+            confirmGuess();
+        } else if ((GameSession.state === GameSession.STATES.REVIEWING || GameSession.state === GameSession.STATES.ERROR)
+            && SettingsStore.matchesKey('nextRound', e)) {
+            handleSession(GameSession.nextRound());
+        }
+    });
+});
+
+/**
+ * Report a session call that failed (nextRound() and restart() return promises)
+ */
+function handleSession(promise) {
+    promise.catch((error) => {
+        console.error('Game session failed:', error);
+        setScoreInfo('game.hintFailed', { message: error.message });
+    });
+}
+
+/**
+ * No hint for the round: say why, NEXT tries again
+ */
+function onRoundError(error) {
+    setHidden('confirm-btn', true);
+    setHidden('next-btn', false);
+    setScoreInfo('game.hintFailed', { message: error.message });
+}
+
+/**
+ * Confirm the current guess (the placed pin)
+ */
+function confirmGuess() {
+    if (GameSession.state !== GameSession.STATES.GUESSING) return;
+
+    const guess = GuessPin.getGuess();
+    if (!guess) {
+        setScoreInfo('game.placeFirst');
+        return;
+    }
+
+    GameSession.submitGuess(guess);
+}
+
+/**
+ * Show which room the pin is in
+ */
+function onPinChange(guess) {
+    const infoDiv = document.getElementById('room-info');
+    if (!infoDiv) return;
+
+    if (!guess) {
+        infoDiv.classList.add('hidden');
+        return;
+    }
+
+    infoDiv.classList.remove('hidden');
+    const roomName = document.getElementById('room-name');
+    if (!guess.room) {
+        I18n.bind(roomName, 'game.pinNone');
+    } else {
+        I18n.bind(roomName, guess.nearest ? 'game.pinNear' : 'game.pin', { room: guess.room });
+    }
+}
+
+/**
+ * Show the new round's hint and reset the round UI
+ */
+function onRoundStart(round) {
+    clearSelection();
+    clearMarkers();
+    GuessPin.clear();
+    setHidden('confirm-btn', false);
+    setHidden('next-btn', true);
+
+    const hintImage = document.getElementById('hint-image');
+    const hintText = document.getElementById('hint-text');
+    if (hintImage) {
+        if (round.hint.image) {
+            hintImage.src = round.hint.image;
+            hintImage.classList.remove('hidden');
+        } else {
+            hintImage.classList.add('hidden');
+        }
+    }
+    if (hintText) {
+        if (round.hint.image) {
+            hintText.removeAttribute('data-i18n');
+            hintText.textContent = '';
+        } else {
+            I18n.bind(hintText, 'game.noPicture');
+        }
+    }
+
+    setScoreInfo(GameModes.getMessageKey(GameSession.config, 'game.roundStart'), {
+        round: round.index + 1,
+        rounds: GameSession.config.rounds,
+        key: SettingsStore.getKeys('confirm')[0]
+    });
+    updateTimer(0, GameSession.config.timeLimit);
+}
+
+/**
+ * Update the timer every tick
+ */
+function onTick({ elapsed, timeLimit }) {
+    updateTimer(elapsed, timeLimit);
+}
+
+/**
+ * Show the answer and the round score
+ */
+function onGuess(round) {
+    // The round is over, confirmed or timed out: the pin can't move any more
+    GuessPin.lock();
+    setHidden('confirm-btn', true);
+    setHidden('next-btn', false);
+
+    drawAnswer(round);
+    revealAnswer(round);
+
+    const room = round.hint.room;
+    const region = RoomRenderer.getRegionName(round.hint.region);
+    if (!round.guess) {
+        setScoreInfo('game.timeUp', { room, region });
+    } else {
+        const { region: regionPoints, room: roomPoints, distance, inRoom, time } = round.score.breakdown;
+        setScoreInfo('game.result', {
+            room, region, total: round.score.total,
+            regionPoints, roomPoints, distance, inRoom, time
+        });
+    }
+}
+
+/**
+ * Show the end-of-game popup
+ */
+function onFinish(results) {
+    setHidden('confirm-btn', true);
+    setHidden('next-btn', true);
+
+    const popup = document.getElementById('end-popup');
+    const total = document.getElementById('end-total');
+    if (total) {
+        I18n.bind(total, 'game.points', { total: results.totalScore });
+    }
+    if (popup) {
+        popup.classList.remove('hidden');
+    }
+    setScoreInfo('game.over', { total: results.totalScore });
+    showSeed(results.config);
+    I18n.bind(document.getElementById('share-status'), 'share.hint');
+    setHidden('share-text', true);
+
+    // Keep the game in the active profile's history
+    const saved = document.getElementById('end-profile');
+    AccountStore.recordGame(results)
+        .then(() => AccountStore.getActiveProfile())
+        .then((profile) => {
+            I18n.bind(saved, 'game.savedTo', { name: profile.name });
+            return submitToLeaderboard(results, profile.name);
+        })
+        .catch(error => console.warn('Could not save the game:', error));
+}
+
+/**
+ * Show the game's seed and a link replaying it
+ */
+function showSeed(config) {
+    const seed = document.getElementById('end-seed');
+    if (config.daily) {
+        I18n.bind(seed, 'game.dailySeed', { seed: config.seed });
+    } else {
+        I18n.bind(seed, 'game.seed', { seed: config.seed });
+    }
+
+    const replay = document.getElementById('replay-link');
+    if (replay) {
+        replay.href = GameShare.buildUrl(config);
+    }
+}
+
+/**
+ * Share the finished game; the summary stays shown if it can't be copied
+ */
+async function shareResults() {
+    const status = document.getElementById('share-status');
+    const text = document.getElementById('share-text');
+    const results = GameSession.getResults();
+
+    try {
+        const outcome = await GameShare.share(results);
+        I18n.bind(status, outcome === 'copied' ? 'share.copied' : 'share.shared');
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.warn('Could not share the results:', error);
+        I18n.bind(status, 'share.failed');
+        if (text) {
+            text.value = GameShare.summarize(results);
+            text.classList.remove('hidden');
+            text.select();
+        }
+    }
+}
+
+/**
+ * Send the game to the leaderboard (when one is configured) and show its top scores
+ */
+async function submitToLeaderboard(results, player) {
+    const rank = document.getElementById('end-rank');
+    const list = document.getElementById('end-leaderboard');
+    if (list) list.replaceChildren();
+    if (rank) rank.textContent = '';
+    if (!Leaderboard.isEnabled()) return;
+    if (!Leaderboard.isRanked(results.config)) {
+        I18n.bind(rank, 'game.unranked');
+        return;
+    }
+
+    try {
+        const submitted = await Leaderboard.submitScore(results, player);
+        I18n.bind(rank, 'game.rank', { rank: submitted.rank });
+
+        // The daily challenge has its own board, other games share one per mode/difficulty/world
+        const { mode, difficulty, world, seed, daily } = results.config;
+        const top = await Leaderboard.getTop({ mode, difficulty, world, seed: daily ? seed : undefined, limit: 5 });
+        for (const entry of top) {
+            const item = document.createElement('li');
+            item.textContent = `${entry.player} - ${entry.totalScore}`;
+            item.classList.toggle('own-score', entry.id === submitted.id);
+            if (list) list.appendChild(item);
+        }
+    } catch (error) {
+        console.warn('Leaderboard submission failed:', error);
+        I18n.bind(rank, 'game.rankFailed', { message: error.message });
+    }
+}
+
+/**
+ * Draw the answer point (and the line to the guess) in the selection group
+ */
+function drawAnswer(round) {
+    const group = document.getElementById('selection-group');
+    if (!group) return;
+
+    clearMarkers();
+    const answer = GameSession.getHintPoint(round.hint);
+
+    if (round.guess) {
+        const guess = GameSession.getGuessPoint(round.guess);
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', guess.x);
+        line.setAttribute('y1', guess.y);
+        line.setAttribute('x2', answer.x);
+        line.setAttribute('y2', answer.y);
+        line.setAttribute('class', 'selection-marker');
+        group.appendChild(line);
+    }
+
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    marker.setAttribute('cx', answer.x);
+    marker.setAttribute('cy', answer.y);
+    marker.setAttribute('r', 40);
+    marker.setAttribute('class', 'answer-point');
+    group.appendChild(marker);
+}
+
+/**
+ * Fly the camera to the answer, showing the guess too when there is one
+ */
+function revealAnswer(round) {
+    if (!window.mapControls) return;
+
+    const answer = GameSession.getHintPoint(round.hint);
+    if (!round.guess) {
+        window.mapControls.fitRoom(round.hint.room);
+        return;
+    }
+
+    const guess = GameSession.getGuessPoint(round.guess);
+    const x = Math.min(answer.x, guess.x);
+    const y = Math.min(answer.y, guess.y);
+    window.mapControls.fitBounds({
+        x,
+        y,
+        width: Math.max(answer.x, guess.x) - x,
+        height: Math.max(answer.y, guess.y) - y
+    }, { padding: REVEAL_PADDING });
+}
+
+/**
+ * Remove every marker from the selection group
+ */
+function clearMarkers() {
+    const group = document.getElementById('selection-group');
+    if (group) {
+        group.replaceChildren();
+    }
+}
+
+/**
+ * Update the timer display
+ */
+function updateTimer(elapsed, timeLimit) {
+    const timer = document.getElementById('timer');
+    if (!timer) return;
+
+    const seconds = timeLimit > 0 ? Math.max(0, timeLimit - elapsed) : elapsed;
+    timer.textContent = `${seconds.toFixed(1)}s`;
+}
+
+/**
+ * Replace the text of the score info line (translation key and its parameters)
+ * and read it to screen readers
+ */
+function setScoreInfo(key, params) {
+    const scoreInfo = document.getElementById('score-info');
+    if (scoreInfo) {
+        scoreInfo.innerHTML = '';
+        const p = document.createElement('p');
+        I18n.bind(p, key, params);
+        scoreInfo.appendChild(p);
+    }
+    announce(key, params);
+}
+
+/**
+ * Show or hide an element by id
+ */
+function setHidden(id, hidden) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.classList.toggle('hidden', hidden);
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Guess Pin for Rain-Guessr
+ * The answer point placed with right click, drawn at a constant screen size
+ */
+
+const GuessPin = {
+  // Pin size in screen pixels (rescaled to world units on every zoom)
+  RADIUS: 8,
+  STROKE: 3,
+
+  point: null, // {x, y} in world coordinates
+  room: null, // {name, region, nearest} the pin landed in (or is closest to), or null
+  local: null, // {x, y} in tiles from that room's top-left, to follow map mode changes
+  locked: false,
+  element: null,
+  listeners: [],
+
+  /**
+   * Create the pin element and follow the map zoom
+   */
+  init() {
+    const svg = document.getElementById('map-svg');
+    const group = document.getElementById('pin-group');
+    if (!svg || !group) {
+      console.error('Pin group not found');
+      return;
+    }
+
+    this.element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    this.element.setAttribute('class', 'guess-pin');
+    this.element.style.display = 'none';
+    group.appendChild(this.element);
+
+    svg.addEventListener('viewboxchange', () => this.updateScale());
+    window.addEventListener('mapmodechange', () => this.followRoom());
+  },
+
+  /**
+   * Register a callback called with getGuess() whenever the pin changes
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  },
+
+  /**
+   * Place (or move) the pin at a world point
+   */
+  place(x, y) {
+    if (this.locked || !this.element) return false;
+
+    this.point = { x, y };
+    // In empty space, the guess counts for the closest room
+    const hit = RoomRenderer.getRoomAtPoint(x, y) || RoomRenderer.getNearestRoom(x, y);
+    this.room = hit ? { name: hit.name, region: hit.region, nearest: hit.distance > 0 } : null;
+    this.local = hit ? RoomRenderer.worldToLocal(RoomRenderer.findRoom(hit.name), this.point) : null;
+
+    this.element.setAttribute('cx', x);
+    this.element.setAttribute('cy', y);
+    this.element.style.display = '';
+    this.updateScale();
+
+    this.notify();
+    return true;
+  },
+
+  /**
+   * Move the pin with its room when the map mode changes
+   */
+  followRoom() {
+    if (!this.point || !this.room || !this.local) return;
+
+    const point = RoomRenderer.localToWorld(RoomRenderer.findRoom(this.room.name), this.local);
+    if (!point) return;
+
+    this.point = point;
+    this.element.setAttribute('cx', point.x);
+    this.element.setAttribute('cy', point.y);
+  },
+
+  /**
+   * Remove the pin and allow placing it again
+   */
+  clear() {
+    this.point = null;
+    this.room = null;
+    this.local = null;
+    this.locked = false;
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+    this.notify();
+  },
+
+  /**
+   * Prevent the pin from moving (once the guess is confirmed)
+   */
+  lock() {
+    this.locked = true;
+  },
+
+  /**
+   * Keep the pin the same size on screen whatever the zoom level
+   */
+  updateScale() {
+    if (!this.element || !this.point) return;
+
+    const pixelSize = window.mapControls ? window.mapControls.getPixelSize() : 1;
+    this.element.setAttribute('r', this.RADIUS * pixelSize);
+    this.element.setAttribute('stroke-width', this.STROKE * pixelSize);
+  },
+
+  /**
+   * Get the guess for the game logic, or null if no pin is placed
+   */
+  getGuess() {
+    if (!this.point) return null;
+
+    return {
+      point: { ...this.point },
+      local: this.local ? { ...this.local } : null,
+      room: this.room ? this.room.name : null,
+      region: this.room ? this.room.region : null,
+      nearest: this.room ? this.room.nearest : false // True when placed outside every room
+    };
+  },
+
+  /**
+   * Notify the change listeners
+   */
+  notify() {
+    const guess = this.getGuess();
+    for (const callback of this.listeners) {
+      callback(guess);
+    }
+  }
+};
+
+window.addEventListener('DOMContentLoaded', () => GuessPin.init());
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GuessPin;
+}
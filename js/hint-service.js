@@ -0,0 +1,188 @@
+/**
+ * Hint Service for Rain-Guessr
+ * Crops a random part of a random screenshot, away from the room borders
+ */
+
+const HintService = {
+  // Configuration
+  ROOM_TILE_SIZE: 20, // Size of a tile in room pixels (game files)
+
+  DEFAULT_OPTIONS: {
+    cropWidth: 300, // Crop size in screenshot pixels
+    cropHeight: 200,
+    edgeMargin: 3, // Tiles kept away from the room borders
+    focus: false, // Crops must contain the picture's focus point, when it has one
+    maxAttempts: 20,
+    filter: {} // ScreenshotCatalog.query() filter (tags, region...)
+  },
+
+  /**
+   * Load the screenshot catalog
+   */
+  async init() {
+    const loaded = await ScreenshotCatalog.load();
+    if (loaded) {
+      console.log(`Hint service ready: ${this.getPool().length} usable pictures`);
+    }
+    return loaded;
+  },
+
+  /**
+   * Pictures that can be used as hints: room on the map and camera known
+   */
+  getPool(filter = {}) {
+    return ScreenshotCatalog.query({ ...filter, inMap: true, hasCamera: true })
+      .filter(picture => RoomRenderer.findRoom(picture.room));
+  },
+
+  /**
+   * Whether hints can be generated
+   */
+  isReady(filter) {
+    return this.getPool(filter).length > 0;
+  },
+
+  /**
+   * Load an image element
+   */
+  loadImage(path) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load picture ${path}`));
+      image.src = path;
+    });
+  },
+
+  /**
+   * Area of the screenshot (in screenshot pixels) that lies inside the room,
+   * at least `margin` tiles away from its borders. Null if too small.
+   */
+  getSafeArea(room, camera, margin, scale) {
+    const tile = this.ROOM_TILE_SIZE;
+    const roomWidth = room.width * tile;
+    const roomHeight = room.height * tile;
+
+    // Room pixels covered by the screenshot (x from the left, y from the bottom)
+    const left = Math.max(camera.x, margin * tile);
+    const right = Math.min(camera.x + ScreenshotCatalog.screenWidth, roomWidth - margin * tile);
+    const bottom = Math.max(camera.y, margin * tile);
+    const top = Math.min(camera.y + ScreenshotCatalog.screenHeight, roomHeight - margin * tile);
+
+    if (right <= left || top <= bottom) return null;
+
+    return {
+      minX: (left - camera.x) * scale,
+      maxX: (right - camera.x) * scale,
+      minY: (camera.y + ScreenshotCatalog.screenHeight - top) * scale,
+      maxY: (camera.y + ScreenshotCatalog.screenHeight - bottom) * scale
+    };
+  },
+
+  /**
+   * Narrow the safe area to the crop positions showing the focus point
+   * (given in screen pixels). Null if the focus can't be shown.
+   */
+  getFocusArea(area, focus, cropWidth, cropHeight, scale) {
+    const x = focus.x * scale;
+    const y = focus.y * scale;
+    const focused = {
+      minX: Math.max(area.minX, x - cropWidth),
+      maxX: Math.min(area.maxX, x + cropWidth),
+      minY: Math.max(area.minY, y - cropHeight),
+      maxY: Math.min(area.maxY, y + cropHeight)
+    };
+
+    if (focused.maxX - focused.minX < cropWidth || focused.maxY - focused.minY < cropHeight) return null;
+    return focused;
+  },
+
+  /**
+   * Convert a screenshot pixel to tiles from the room's top-left corner
+   */
+  screenshotToLocal(room, camera, sx, sy, scale) {
+    const tile = this.ROOM_TILE_SIZE;
+
+    const roomX = camera.x + sx / scale;
+    const roomYFromBottom = camera.y + ScreenshotCatalog.screenHeight - sy / scale;
+
+    return {
+      x: roomX / tile,
+      y: room.height - roomYFromBottom / tile
+    };
+  },
+
+  /**
+   * Generate a hint
+   * options: DEFAULT_OPTIONS overrides, plus `seed` or `random` (SeededRandom generator)
+   * Returns { image, room, region, point, local, crop, picture }
+   * (local: tiles from the room's top-left, valid in every map mode)
+   */
+  async generate(options = {}) {
+    const opts = { ...this.DEFAULT_OPTIONS, ...options };
+    const random = opts.random || SeededRandom.create(opts.seed);
+
+    const pool = this.getPool(opts.filter);
+    if (pool.length === 0) {
+      throw new Error('No pictures available for the loaded map');
+    }
+
+    for (let attempt = 0; attempt < opts.maxAttempts; attempt++) {
+      const picture = random.pick(pool);
+      // Draw the crop position now so the sequence doesn't depend on load errors
+      const u = random.next();
+      const v = random.next();
+
+      try {
+        const room = RoomRenderer.findRoom(picture.room);
+        const camera = picture.camera;
+        const image = await this.loadImage(picture.url);
+        const scale = image.naturalWidth / ScreenshotCatalog.screenWidth;
+        let area = this.getSafeArea(room, camera, opts.edgeMargin, scale);
+        if (area && opts.focus && picture.focus) {
+          area = this.getFocusArea(area, picture.focus, opts.cropWidth, opts.cropHeight, scale);
+        }
+        if (!area || area.maxX - area.minX < opts.cropWidth || area.maxY - area.minY < opts.cropHeight) {
+          continue;
+        }
+
+        const cropX = Math.floor(area.minX + u * (area.maxX - area.minX - opts.cropWidth));
+        const cropY = Math.floor(area.minY + v * (area.maxY - area.minY - opts.cropHeight));
+
+        const local = this.screenshotToLocal(
+          room, camera,
+          cropX + opts.cropWidth / 2, cropY + opts.cropHeight / 2,
+          scale
+        );
+
+        const canvas = document.createElement('canvas');
+        canvas.width = opts.cropWidth;
+        canvas.height = opts.cropHeight;
+        canvas.getContext('2d').drawImage(
+          image,
+          cropX, cropY, opts.cropWidth, opts.cropHeight,
+          0, 0, opts.cropWidth, opts.cropHeight
+        );
+
+        return {
+          image: canvas.toDataURL('image/png'),
+          room: picture.room,
+          region: picture.region,
+          point: RoomRenderer.localToWorld(room, local),
+          local,
+          crop: { x: cropX, y: cropY, width: opts.cropWidth, height: opts.cropHeight },
+          picture: picture.file
+        };
+      } catch (error) {
+        console.warn(`Skipping picture ${picture.file}:`, error);
+      }
+    }
+
+    throw new Error(`Could not generate a hint after ${opts.maxAttempts} attempts`);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HintService;
+}
@@ -0,0 +1,127 @@
+/**
+ * Internationalisation for Rain-Guessr
+ * Translation catalogs (json/i18n/<language>.json) applied to the elements
+ * marked with data-i18n, and switched live when the language setting changes
+ */
+
+const I18n = {
+  LANGUAGES: ['en', 'fr'],
+  FALLBACK: 'en',
+  // Catalogs live next to the other data files, whatever page loads this script
+  CATALOG_PATH: typeof document !== 'undefined' && document.currentScript
+    ? new URL('../json/i18n/', document.currentScript.src).href
+    : '../json/i18n/',
+
+  language: 'en',
+  catalogs: {}, // Language -> { key: text, regionNames: { English name: translation } }
+
+  /**
+   * Load the catalogs and follow the language setting
+   */
+  async init() {
+    SettingsStore.onChange('language', language => this.setLanguage(language));
+    await this.setLanguage(SettingsStore.get('language'));
+  },
+
+  /**
+   * Load a language's catalog (once)
+   */
+  async loadCatalog(language) {
+    if (this.catalogs[language]) return this.catalogs[language];
+
+    try {
+      const response = await fetch(`${this.CATALOG_PATH}${language}.json`);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      this.catalogs[language] = await response.json();
+    } catch (error) {
+      console.warn(`Could not load the ${language} translations:`, error);
+      this.catalogs[language] = {};
+    }
+    return this.catalogs[language];
+  },
+
+  /**
+   * Switch the language and translate the page
+   */
+  async setLanguage(language) {
+    if (!this.LANGUAGES.includes(language)) {
+      console.warn(`Unknown language: ${language}`);
+      return false;
+    }
+
+    await Promise.all([this.loadCatalog(this.FALLBACK), this.loadCatalog(language)]);
+    this.language = language;
+    document.documentElement.lang = language;
+    this.apply();
+
+    window.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+    return true;
+  },
+
+  /**
+   * Translate a key, replacing {name} placeholders with params
+   * Falls back to English, then to the key itself
+   */
+  t(key, params = {}) {
+    const catalog = this.catalogs[this.language] || {};
+    const fallback = this.catalogs[this.FALLBACK] || {};
+    const text = catalog[key] !== undefined ? catalog[key] : fallback[key];
+    if (typeof text !== 'string') return key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  },
+
+  /**
+   * Translated region name, from its English display name (displayname.txt)
+   */
+  regionName(name) {
+    const names = (this.catalogs[this.language] || {}).regionNames || {};
+    return names[name] || name;
+  },
+
+  /**
+   * Set an element's text from a key and keep it translated when the language changes
+   */
+  bind(element, key, params) {
+    if (!element) return;
+
+    element.setAttribute('data-i18n', key);
+    if (params) {
+      element.setAttribute('data-i18n-params', JSON.stringify(params));
+    } else {
+      element.removeAttribute('data-i18n-params');
+    }
+    element.textContent = this.t(key, params);
+  },
+
+  /**
+   * Translate every marked element
+   * data-i18n: text content, data-i18n-<attribute>: that attribute (alt, title...)
+   */
+  apply(root = document) {
+    for (const element of root.querySelectorAll('[data-i18n]')) {
+      let params;
+      try {
+        params = JSON.parse(element.getAttribute('data-i18n-params') || '{}');
+      } catch (error) {
+        params = {};
+      }
+      element.textContent = this.t(element.getAttribute('data-i18n'), params);
+    }
+
+    for (const attribute of ['alt', 'title', 'placeholder', 'aria-label']) {
+      for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      }
+    }
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('DOMContentLoaded', () => I18n.init());
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
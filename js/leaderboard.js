@@ -0,0 +1,161 @@
+/**
+ * Leaderboard client for Rain-Guessr
+ * Submits finished games and fetches the best scores per mode/difficulty/world/seed
+ * Requests go through a transport so the server (or a fake) can be swapped:
+ * a transport is an object with `async request(method, path, body)` returning the JSON answer
+ */
+
+const Leaderboard = {
+  SUBMISSION_VERSION: 2, // Must match leaderboard-server.js
+  DEFAULT_LIMIT: 10,
+
+  // Settings every ranked game of a board is played with (see isRanked)
+  RANKED_SETTINGS: ['rounds', 'timeLimit', 'cropWidth', 'cropHeight', 'edgeMargin', 'focusCrop', 'hintMargin', 'regions', 'tags'],
+  DAILY_SETTINGS: ['mode', 'world', 'difficulty'], // Also fixed by the daily challenge
+
+  transport: null,
+
+  /**
+   * Transport talking to a leaderboard server over HTTP (see leaderboard-server.js)
+   */
+  createHttpTransport(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+    return {
+      async request(method, path, body) {
+        const response = await fetch(`${root}${path}`, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : {},
+          body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || `Leaderboard request failed with status ${response.status}`);
+        }
+        return data;
+      }
+    };
+  },
+
+  /**
+   * Use another transport (null goes back to the leaderboardUrl setting)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  },
+
+  /**
+   * Current transport, or null when no leaderboard is configured
+   */
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    const url = SettingsStore.get('leaderboardUrl');
+    return url ? this.createHttpTransport(url) : null;
+  },
+
+  /**
+   * Whether scores can be submitted
+   */
+  isEnabled() {
+    return this.getTransport() !== null;
+  },
+
+  /**
+   * Settings a ranked game is played with: the preset of its difficulty on top of
+   * its mode's defaults (as GameSession.start fills them in), null if either is unknown
+   * A daily challenge is played with GameSession.getDailyConfig, whatever the game says
+   */
+  getRankedConfig(config) {
+    const daily = config.daily ? GameSession.DAILY_CONFIG : {};
+    const mode = GameModes.get(config.daily ? GameSession.DEFAULT_CONFIG.mode : config.mode);
+    const preset = GameSession.PRESETS[daily.difficulty || config.difficulty];
+    if (!mode || !preset) return null;
+
+    return { ...GameSession.DEFAULT_CONFIG, ...mode.defaults, ...preset, ...daily, mode: mode.id };
+  },
+
+  /**
+   * Whether a game can go on the leaderboard: games sharing a board must be comparable,
+   * so custom games (rounds, crop size, regions... other than the preset's) are not ranked
+   */
+  isRanked(config) {
+    const ranked = this.getRankedConfig(config);
+    const settings = config.daily ? [...this.RANKED_SETTINGS, ...this.DAILY_SETTINGS] : this.RANKED_SETTINGS;
+    return ranked !== null
+      && settings.every(key => JSON.stringify(config[key]) === JSON.stringify(ranked[key]));
+  },
+
+  /**
+   * Turn GameSession.getResults() into a submission
+   * Rounds keep the hint and guess positions (tiles from their room's top-left)
+   * and the time taken, so the server can score the game again; the seed and the
+   * hint settings let it rebuild every hint and check it is the one the game picked
+   */
+  toSubmission(results, player) {
+    const config = results.config;
+    return {
+      version: this.SUBMISSION_VERSION,
+      player,
+      mode: config.mode,
+      difficulty: config.difficulty,
+      world: config.world,
+      seed: config.seed === undefined ? null : config.seed,
+      daily: !!config.daily,
+      roundCount: config.rounds,
+      timeLimit: config.timeLimit,
+      cropWidth: config.cropWidth,
+      cropHeight: config.cropHeight,
+      edgeMargin: config.edgeMargin,
+      focusCrop: config.focusCrop,
+      hintMargin: config.hintMargin,
+      regions: config.regions || [],
+      tags: config.tags || [],
+      totalScore: results.totalScore,
+      rounds: results.rounds.map(round => ({
+        room: round.hint.room,
+        region: round.hint.region,
+        local: round.hint.local,
+        guess: round.guess ? {
+          room: round.guess.room,
+          region: round.guess.region,
+          local: round.guess.local,
+          point: round.guess.point
+        } : null,
+        elapsed: round.elapsed,
+        score: round.score ? round.score.total : 0
+      }))
+    };
+  },
+
+  /**
+   * Submit a finished game; resolves to { id, rank, totalScore }
+   */
+  async submitScore(results, player) {
+    const transport = this.getTransport();
+    if (!transport) throw new Error('No leaderboard configured');
+
+    return transport.request('POST', '/scores', this.toSubmission(results, player));
+  },
+
+  /**
+   * Best scores, filtered by any of mode, difficulty, world and seed
+   */
+  async getTop({ mode, difficulty, world, seed, limit = this.DEFAULT_LIMIT } = {}) {
+    const transport = this.getTransport();
+    if (!transport) throw new Error('No leaderboard configured');
+
+    const params = new URLSearchParams({ limit: String(limit) });
+    for (const [key, value] of Object.entries({ mode, difficulty, world, seed })) {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+
+    const data = await transport.request('GET', `/scores?${params}`);
+    return data.scores || [];
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Leaderboard;
+}
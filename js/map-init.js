@@ -3,15 +3,16 @@
  * Handles loading rooms and initializing the SVG map
  */
 
-let selectedRoom = null;
+let selectedRoom = null; // Full name of the selected room
+let focusedRoom = null; // Full name of the room with the keyboard focus
 let worldBounds = { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+let roomLayerFrame = null;
 
 window.addEventListener('DOMContentLoaded', async () => {
     console.log('Map initialization starting...');
     
     const mapSvg = document.getElementById('map-svg');
     const roomsGroup = document.getElementById('rooms-group');
-    const loadingIndicator = document.getElementById('score-info');
 
     if (!mapSvg || !roomsGroup) {
         console.error('SVG elements not found');
@@ -19,13 +20,13 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
 
     // Show loading message
-    if (loadingIndicator) {
-        loadingIndicator.innerHTML = '<p>Loading data...</p>';
-    }
+    showStatus('status.loadingData');
 
     try {
-        // Initialize the room renderer
-        const initialized = await RoomRenderer.init();
+        // The game comes from the URL (see GameShare.buildUrl): ?world=saint&seed=..., ?daily...
+        // Initialize the room renderer on its world, or the saved choice
+        const gameConfig = GameShare.parseUrl(window.location.search);
+        const initialized = await RoomRenderer.init(gameConfig.world);
         
         if (!initialized) {
             throw new Error('Failed to initialize room renderer');
@@ -33,64 +34,107 @@ window.addEventListener('DOMContentLoaded', async () => {
 
         console.log('Room renderer initialized, rendering regions...');
 
-        if (loadingIndicator) {
-            loadingIndicator.innerHTML = '<p>Rendering 11 regions... (this may take a moment)</p>';
-        }
+        showStatus('status.rendering', { count: Object.keys(RoomRenderer.allRooms).length });
 
         // Render all regions in parallel
         const roomCount = await RoomRenderer.renderAllRegions(roomsGroup);
         
         console.log(`All regions rendered, adjusting view...`);
-        if (loadingIndicator) {
-            loadingIndicator.innerHTML = '<p>Adjusting view...</p>';
-        }
+        showStatus('status.adjusting');
 
         // Calculate world bounds from all rooms and adjust SVG
-        adjustSVGBounds(mapSvg, roomsGroup);
+        adjustSVGBounds(mapSvg);
+
+        // Only the rooms in view are in the DOM: refresh them when the view moves
+        mapSvg.addEventListener('viewboxchange', scheduleRoomLayerUpdate);
+        window.addEventListener('resize', scheduleRoomLayerUpdate);
+        updateRoomLayer();
         
         console.log(`Map loaded with ${roomCount} rooms`);
 
-        if (loadingIndicator) {
-            loadingIndicator.innerHTML = '<p>✓ Map ready! Pan (left-click) • Zoom (scroll) • Click rooms to select</p>';
-        }
+        showStatus('status.ready');
 
         // Add click handlers for room selection
         addRoomClickHandlers();
+        addRoomKeyboardHandlers();
+        window.addEventListener('languagechange', () => RoomRenderer.updateAriaLabels());
+
+        // Region names over the map and the region legend
+        if (typeof RegionOverlay !== 'undefined') {
+            RegionOverlay.init();
+        }
+
+        // Flat / three-layer map switch
+        const mapModeBtn = document.getElementById('map-mode-btn');
+        if (mapModeBtn) {
+            mapModeBtn.addEventListener('click', toggleMapMode);
+        }
+        window.addEventListener('mapmodechange', onMapModeChange);
+        updateMapModeButton();
+
+        document.addEventListener('keydown', (e) => {
+            if (SettingsStore.matchesKey('toggleMapMode', e)) {
+                toggleMapMode();
+            } else if (SettingsStore.matchesKey('toggleConnections', e) && typeof ConnectionOverlay !== 'undefined') {
+                ConnectionOverlay.toggle();
+            }
+        });
+
+        // Load room connections (neighbours, shelters, gates)
+        if (typeof RoomGraph !== 'undefined') {
+            await RoomGraph.load();
+
+            if (typeof ConnectionOverlay !== 'undefined') {
+                ConnectionOverlay.init();
+                const connectionsBtn = document.getElementById('connections-btn');
+                if (connectionsBtn) {
+                    connectionsBtn.addEventListener('click', () => ConnectionOverlay.toggle());
+                }
+            }
+        }
+
+        // Start the game once the map and the hint pictures are ready
+        if (typeof HintService !== 'undefined') {
+            await HintService.init();
+        }
+        if (typeof GameSession !== 'undefined') {
+            await GameModes.load();
+            await GameSession.start({ ...gameConfig, world: RoomRenderer.variant });
+        }
 
     } catch (error) {
         console.error('Error initializing map:', error);
-        if (loadingIndicator) {
-            loadingIndicator.innerHTML = `<p style="color: red;">Error loading map: ${error.message}</p>`;
-        }
+        showStatus('status.error', { message: error.message }, true);
     }
 });
 
+/**
+ * Show a loading status message (translation key and its parameters)
+ */
+function showStatus(key, params, isError = false) {
+    const loadingIndicator = document.getElementById('score-info');
+    if (!loadingIndicator) return;
+
+    const p = document.createElement('p');
+    if (isError) {
+        p.style.color = 'red';
+    }
+    I18n.bind(p, key, params);
+    loadingIndicator.replaceChildren(p);
+}
+
 /**
  * Adjust SVG viewBox to fit all content
  */
-function adjustSVGBounds(svg, roomsGroup) {
-    const rooms = roomsGroup.querySelectorAll('.room-group');
-    
-    if (rooms.length === 0) {
+function adjustSVGBounds(svg) {
+    const bounds = RoomRenderer.getWorldBounds();
+
+    if (!bounds) {
         console.warn('No rooms found');
         return;
     }
 
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-
-    // Calculate bounds from all room positions
-    for (const room of rooms) {
-        const x = parseInt(room.getAttribute('data-pos-x')) || 0;
-        const y = parseInt(room.getAttribute('data-pos-y')) || 0;
-        const w = parseInt(room.getAttribute('data-width')) || 0;
-        const h = parseInt(room.getAttribute('data-height')) || 0;
-
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x + w);
-        maxY = Math.max(maxY, y + h);
-    }
+    let { minX, maxX, minY, maxY } = bounds;
 
     // Add padding
     const padding = 500;
@@ -103,14 +147,93 @@ function adjustSVGBounds(svg, roomsGroup) {
     console.log(`SVG viewBox: ${minX} ${minY} ${width} ${height}`);
 
     // Update SVG viewBox
-    svg.setAttribute('viewBox', `${minX} ${minY} ${width} ${height}`);
-    svg.setAttribute('width', width.toString());
-    svg.setAttribute('height', height.toString());
+    if (window.mapControls) {
+        window.mapControls.setViewBox(minX, minY, width, height);
+    } else {
+        svg.setAttribute('viewBox', `${minX} ${minY} ${width} ${height}`);
+    }
 
     // Store bounds for later use
     worldBounds = { minX, maxX, minY, maxY };
 }
 
+/**
+ * Refresh the rooms in the DOM at most once per frame
+ */
+function scheduleRoomLayerUpdate() {
+    if (roomLayerFrame !== null) return;
+
+    roomLayerFrame = requestAnimationFrame(() => {
+        roomLayerFrame = null;
+        updateRoomLayer();
+    });
+}
+
+/**
+ * Materialise the rooms intersecting the view, at the right level of detail
+ */
+function updateRoomLayer() {
+    if (!window.mapControls) return;
+
+    // The focused room's element may be replaced (level of detail) or removed (out of view)
+    const refocus = focusedRoom && document.activeElement === RoomRenderer.getRoomElement(focusedRoom)
+        ? focusedRoom : null;
+
+    RoomRenderer.updateViewport(
+        window.mapControls.getVisibleWorldRect(),
+        window.mapControls.getPixelSize()
+    );
+
+    if (refocus) {
+        const element = RoomRenderer.getRoomElement(refocus);
+        if (element) {
+            if (element !== document.activeElement) element.focus({ preventScroll: true });
+        } else {
+            focusedRoom = null;
+            document.getElementById('map-container').focus({ preventScroll: true });
+        }
+    }
+}
+
+/**
+ * Switch between the flat map and the three-layer map
+ */
+async function toggleMapMode() {
+    const mode = RoomRenderer.mapMode === 'layered' ? 'flat' : 'layered';
+    await RoomRenderer.setMapMode(mode);
+}
+
+/**
+ * Rooms moved: refresh everything drawn from their positions
+ */
+function onMapModeChange() {
+    const bounds = RoomRenderer.getWorldBounds();
+    if (bounds) {
+        worldBounds = bounds;
+    }
+
+    updateRoomLayer();
+    if (typeof ConnectionOverlay !== 'undefined') {
+        ConnectionOverlay.render();
+    }
+    if (typeof RegionOverlay !== 'undefined') {
+        RegionOverlay.render();
+    }
+    updateMapModeButton();
+}
+
+/**
+ * Show the current map mode on its button
+ */
+function updateMapModeButton() {
+    const button = document.getElementById('map-mode-btn');
+    if (!button) return;
+
+    const layered = RoomRenderer.mapMode === 'layered';
+    I18n.bind(button, layered ? 'map.layered' : 'map.flat');
+    button.classList.toggle('active', layered);
+}
+
 /**
  * Add click handlers to rooms for selection
  */
@@ -149,31 +272,133 @@ function addRoomClickHandlers() {
     });
 }
 
+/**
+ * Keyboard access to the rooms (keys from the key bindings setting):
+ * focusRoom (Tab, Shift goes back) moves through the rooms in view,
+ * selectRoom (Enter/Space) selects the focused room and, during a round,
+ * places the pin in it; pressed again it lets the key confirm the guess
+ */
+function addRoomKeyboardHandlers() {
+    const mapContainer = document.getElementById('map-container');
+    if (!mapContainer) return;
+
+    mapContainer.addEventListener('keydown', (e) => {
+        if (SettingsStore.matchesKey('focusRoom', e)) {
+            // Shift-Tab from the map itself leaves it; Tab past the last room too
+            if (e.target === mapContainer && e.shiftKey) return;
+            if (focusNextRoom(e.shiftKey ? -1 : 1)) e.preventDefault();
+        } else if (SettingsStore.matchesKey('selectRoom', e)) {
+            const roomGroup = e.target.closest('.room-group');
+            if (roomGroup && activateRoom(roomGroup.getAttribute('data-room'))) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }
+    });
+}
+
+/**
+ * Rooms in view, in reading order (top to bottom, then left to right)
+ */
+function getRoomsInView() {
+    const rect = window.mapControls ? window.mapControls.getVisibleWorldRect() : null;
+    if (!rect) return [];
+
+    return RoomRenderer.getRoomsInRect(rect).sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Focus the next (step 1) or previous (step -1) room in view
+ * Returns false past either end, so Tab can leave the map
+ */
+function focusNextRoom(step) {
+    const rooms = getRoomsInView();
+    const index = rooms.findIndex(room => room.name === focusedRoom);
+    const next = index === -1 ? (step > 0 ? 0 : rooms.length - 1) : index + step;
+    if (next < 0 || next >= rooms.length) return false;
+
+    return focusRoom(rooms[next].name);
+}
+
+/**
+ * Give the keyboard focus to a room in view; returns false if it isn't drawn
+ */
+function focusRoom(name) {
+    updateRoomLayer();
+    const element = RoomRenderer.getRoomElement(name);
+    if (!element) return false;
+
+    focusedRoom = name;
+    element.focus({ preventScroll: true });
+    return true;
+}
+
+/**
+ * Select a room from the keyboard, pinning its centre during a round
+ * Returns false when there is nothing left to do (the key then confirms the guess)
+ */
+function activateRoom(name) {
+    const element = RoomRenderer.getRoomElement(name);
+    if (!element) return false;
+
+    const guessing = typeof GameSession !== 'undefined' && GameSession.state === GameSession.STATES.GUESSING
+        && typeof GuessPin !== 'undefined' && !GuessPin.locked;
+    const pinned = guessing && GuessPin.room && GuessPin.room.name === name && !GuessPin.room.nearest;
+    if (name === selectedRoom && (!guessing || pinned)) return false;
+
+    selectRoom(element);
+    if (guessing) {
+        const x = Number(element.getAttribute('data-pos-x')) + Number(element.getAttribute('data-width')) / 2;
+        const y = Number(element.getAttribute('data-pos-y')) + Number(element.getAttribute('data-height')) / 2;
+        GuessPin.place(x, y);
+        announce('map.announcePin', {
+            room: name,
+            region: RoomRenderer.getRegionName(element.getAttribute('data-region')),
+            key: SettingsStore.getKeys('confirm')[0]
+        });
+    }
+    return true;
+}
+
+/**
+ * Read a message to screen readers (translation key and its parameters)
+ */
+function announce(key, params) {
+    const announcer = document.getElementById('map-announcer');
+    if (!announcer) return;
+
+    // Emptied first so that a repeated message is read again
+    announcer.textContent = '';
+    requestAnimationFrame(() => {
+        announcer.textContent = I18n.t(key, params);
+    });
+}
+
 /**
  * Select a room
  */
 function selectRoom(roomGroup) {
-    const roomsGroup = document.getElementById('rooms-group');
-    
+    const roomName = roomGroup.getAttribute('data-room');
+    const regionCode = roomGroup.getAttribute('data-region');
+
     // Remove previous selection
     if (selectedRoom) {
-        selectedRoom.classList.remove('selected');
+        RoomRenderer.setRoomClass(selectedRoom, 'selected', false);
     }
 
-    // Mark as selected
-    roomGroup.classList.add('selected');
-    selectedRoom = roomGroup;
+    // Mark as selected (kept when the room is re-rendered)
+    RoomRenderer.setRoomClass(roomName, 'selected', true);
+    selectedRoom = roomName;
 
     // Update info display
-    const roomName = roomGroup.getAttribute('data-room');
-    const regionCode = roomGroup.getAttribute('data-region');
     const infoDiv = document.getElementById('room-info');
-    
+
     if (infoDiv && roomName) {
         infoDiv.classList.remove('hidden');
-        document.getElementById('room-name').textContent = `Selected: ${roomName}`;
+        I18n.bind(document.getElementById('room-name'), 'map.selected', { room: roomName });
         console.log(`Selected room: ${roomName} (${regionCode})`);
     }
+    announce('map.announceSelected', { room: roomName, region: RoomRenderer.getRegionName(regionCode) });
 }
 
 /**
@@ -181,11 +406,12 @@ function selectRoom(roomGroup) {
  */
 function getSelectedRoom() {
     if (!selectedRoom) return null;
-    
+
+    const room = RoomRenderer.findRoom(selectedRoom);
     return {
-        name: selectedRoom.getAttribute('data-room'),
-        region: selectedRoom.getAttribute('data-region'),
-        element: selectedRoom
+        name: selectedRoom,
+        region: room ? room.regionCode : selectedRoom.split('_')[0],
+        element: RoomRenderer.getRoomElement(selectedRoom)
     };
 }
 
@@ -194,10 +420,10 @@ function getSelectedRoom() {
  */
 function clearSelection() {
     if (selectedRoom) {
-        selectedRoom.classList.remove('selected');
+        RoomRenderer.setRoomClass(selectedRoom, 'selected', false);
         selectedRoom = null;
     }
-    
+
     const infoDiv = document.getElementById('room-info');
     if (infoDiv) {
         infoDiv.classList.add('hidden');
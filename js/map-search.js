@@ -0,0 +1,157 @@
+/**
+ * Map Search Script
+ * Search panel of the map page: type a room or region, pick a result to fly to it
+ * (see RoomSearch). Off while a round is played, so it can't give the answer away.
+ */
+
+let searchResults = []; // Results shown in the list
+let activeResult = -1; // Index of the result chosen with the arrow keys
+let highlightedRoom = null; // Full name of the room found last
+
+window.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('room-search');
+    if (!input) return;
+
+    input.addEventListener('input', () => showSearchResults(RoomSearch.search(input.value)));
+    input.addEventListener('keydown', onSearchKey);
+    document.getElementById('search-results').addEventListener('click', (e) => {
+        const item = e.target.closest('li[data-index]');
+        if (item) chooseSearchResult(Number(item.getAttribute('data-index')));
+    });
+    window.addEventListener('languagechange', () => showSearchResults(RoomSearch.search(input.value)));
+
+    GameSession.on('statechange', updateSearchAvailability);
+    updateSearchAvailability();
+});
+
+/**
+ * Whether the search can be used: not while a round is loading or being guessed
+ */
+function isSearchAllowed() {
+    const { LOADING, GUESSING } = GameSession.STATES;
+    return GameSession.state !== LOADING && GameSession.state !== GUESSING;
+}
+
+/**
+ * Enable or disable the panel for the current game state
+ */
+function updateSearchAvailability() {
+    const input = document.getElementById('room-search');
+    const allowed = isSearchAllowed();
+
+    input.disabled = !allowed;
+    I18n.bind(document.getElementById('search-status'), allowed ? 'search.hint' : 'search.disabled');
+    if (!allowed) {
+        input.value = '';
+        showSearchResults([]);
+        setHighlightedRoom(null);
+    }
+}
+
+/**
+ * List the results (room results show their region)
+ */
+function showSearchResults(results) {
+    const list = document.getElementById('search-results');
+    const input = document.getElementById('room-search');
+    searchResults = results;
+    activeResult = -1;
+    list.replaceChildren();
+    input.removeAttribute('aria-activedescendant');
+    input.setAttribute('aria-expanded', String(results.length > 0));
+
+    if (results.length === 0 && input.value.trim()) {
+        const empty = document.createElement('li');
+        empty.className = 'search-empty';
+        I18n.bind(empty, 'search.noResults');
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const [index, result] of results.entries()) {
+        const item = document.createElement('li');
+        item.id = `search-result-${index}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('data-index', index);
+
+        const name = document.createElement('span');
+        const context = document.createElement('small');
+        if (result.type === 'region') {
+            name.textContent = result.regionName;
+            I18n.bind(context, 'search.region', { code: result.regionCode, count: result.roomCount });
+        } else {
+            name.textContent = result.name;
+            context.textContent = `${result.regionName} (${result.regionCode})`;
+        }
+
+        item.append(name, context);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Arrows move through the results, Enter picks one, Escape clears the search
+ */
+function onSearchKey(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (searchResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveResult((activeResult + step + searchResults.length) % searchResults.length);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        chooseSearchResult(activeResult === -1 ? 0 : activeResult);
+    } else if (e.key === 'Escape') {
+        e.target.value = '';
+        showSearchResults([]);
+    }
+}
+
+/**
+ * Mark the result chosen with the arrow keys
+ */
+function setActiveResult(index) {
+    const input = document.getElementById('room-search');
+    activeResult = index;
+
+    for (const item of document.querySelectorAll('#search-results li[data-index]')) {
+        const active = Number(item.getAttribute('data-index')) === index;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-selected', String(active));
+        if (active) {
+            input.setAttribute('aria-activedescendant', item.id);
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    }
+}
+
+/**
+ * Fly to a result and highlight it (a region is framed whole)
+ */
+function chooseSearchResult(index) {
+    const result = searchResults[index];
+    if (!result || !isSearchAllowed()) return;
+
+    if (result.type === 'region') {
+        setHighlightedRoom(null);
+        window.mapControls.fitRegion(result.regionCode);
+        announce('search.foundRegion', { region: result.regionName });
+    } else {
+        setHighlightedRoom(result.name);
+        window.mapControls.fitRoom(result.name);
+        announce('search.foundRoom', { room: result.name, region: result.regionName });
+    }
+}
+
+/**
+ * Highlight the room found (kept when the room is re-rendered)
+ */
+function setHighlightedRoom(name) {
+    if (highlightedRoom) {
+        RoomRenderer.setRoomClass(highlightedRoom, 'search-highlight', false);
+    }
+    highlightedRoom = name;
+    if (name) {
+        RoomRenderer.setRoomClass(name, 'search-highlight', true);
+    }
+}
@@ -1,18 +1,19 @@
 let gl;
 let geometry;
 const roomBoundaries = {};
+let roomIndex = null; // Index spatial des salles, reconstruit quand roomBoundaries change
 let regionPositions = {}; // Cache pour éviter de recharger region_pos.txt
 
 function initWebGL() {
     const canvas = document.querySelector("#canvas");
     if (!canvas) {
-        console.error("Erreur : Canvas introuvable.");
+        console.error("Error: canvas not found.");
         return null;
     }
 
     const context = canvas.getContext("webgl");
     if (!context) {
-        console.error("Erreur : Impossible d'initialiser WebGL.");
+        console.error("Error: could not initialise WebGL.");
         return null;
     }
 
@@ -24,7 +25,7 @@ function initWebGL() {
 window.addEventListener("DOMContentLoaded", async () => {
     gl = initWebGL();
     if (!gl) return;
-    console.log("WebGL initialisé avec succès !");
+    console.log("WebGL initialised.");
 
     await loadRegions(); // Charger toutes les régions
     await loadAllRegions(); // Charger et afficher les salles
@@ -36,20 +37,20 @@ let rooms = {}; // Stocker les salles par région
 async function loadRegions() {
     try {
         const response = await fetch(`${mapPath}/regions.txt`);
-        if (!response.ok) throw new Error("Échec du chargement des régions.");
+        if (!response.ok) throw new Error("Failed to load regions.");
 
         const regionAbbrs = (await response.text())
             .split("\n")
             .map(r => r.trim())
             .filter(Boolean);
 
-        console.log("Régions trouvées :", regionAbbrs);
+        console.log("Regions found:", regionAbbrs);
 
         // Charger toutes les listes de salles en parallèle
         await Promise.all(regionAbbrs.map(async (region) => {
             try {
                 const res = await fetch(`${mapPath}/${region}/cf-${region}.txt`);
-                if (!res.ok) throw new Error(`Échec du chargement des salles pour ${region}.`);
+                if (!res.ok) throw new Error(`Failed to load rooms for ${region}.`);
 
                 rooms[region] = res.text().split("\n").map(r => r.trim()).filter(Boolean);
             } catch (error) {
@@ -57,9 +58,9 @@ async function loadRegions() {
             }
         }));
 
-        console.log("Toutes les salles sont chargées.", rooms);
+        console.log("All rooms loaded.", rooms);
     } catch (error) {
-        console.error("Erreur lors du chargement des régions :", error);
+        console.error("Error loading regions:", error);
     }
 }
 
@@ -78,7 +79,7 @@ async function loadRegion(region) {
             const roomGeom = await loadRoomGeometry(region, room.replace(".txt", ""));
             if (roomGeom) geom.push(...roomGeom);
         } catch (error) {
-            console.error(`Erreur de chargement ${region}/${room}:`, error);
+            console.error(`Error loading ${region}/${room}:`, error);
         }
     }
     return geom;
@@ -89,7 +90,7 @@ async function loadRoomGeometry(region, room) {
     if (!regionPositions[region]) {
         try {
             const response = await fetch(`${mapPath}/region_pos.txt`);
-            if (!response.ok) throw new Error("Fichier region_pos.txt introuvable.");
+            if (!response.ok) throw new Error("region_pos.txt not found.");
 
             const positions = await response.text();
             for (const line of positions.split("\n").map(l => l.trim()).filter(Boolean)) {
@@ -107,7 +108,7 @@ async function loadRoomGeometry(region, room) {
 
     try {
         const response = await fetch(`${mapPath}/${region}/${room}.txt`);
-        if (!response.ok) throw new Error(`Fichier ${room}.txt introuvable.`);
+        if (!response.ok) throw new Error(`${room}.txt not found.`);
         return parseRoomGeometry(await response.text(), regionPos);
     } catch (error) {
         console.error(error);
@@ -127,6 +128,7 @@ function parseRoomGeometry(data, regionPos) {
     const y2 = y1 + height;
 
     roomBoundaries[`${regionPos}-${posX}-${posY}`] = { x1, y1, x2, y2 };
+    roomIndex = null;
 
     return lines.slice(-7, -1).flatMap(line =>
         line === "None|" ? [] : line.split("|").map(pair => {
@@ -142,11 +144,17 @@ function parseRoomGeometry(data, regionPos) {
 }
 
 function detectRoomCollision(mouseX, mouseY) {
-    for (const [room, { x1, y1, x2, y2 }] of Object.entries(roomBoundaries)) {
-        if (mouseX >= x1 && mouseX <= x2 && mouseY >= y1 && mouseY <= y2) {
-            console.log("Mouse is inside room:", room);
-            return;
-        }
+    if (!roomIndex) {
+        roomIndex = SpatialIndex.create(Object.entries(roomBoundaries).map(([room, { x1, y1, x2, y2 }]) => ({
+            room,
+            bounds: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 }
+        })), 100);
+    }
+
+    const [hit] = roomIndex.queryPoint(mouseX, mouseY);
+    if (hit) {
+        console.log("Mouse is inside room:", hit.room);
+        return;
     }
     console.log("Mouse is not inside any room.");
 }
@@ -16,6 +16,12 @@ let viewBoxY = 0;
 let viewBoxWidth = 10000;
 let viewBoxHeight = 10000;
 
+// Zoom limits: the view is at least MIN_VIEW_SIZE map pixels wide and high,
+// and at most MAX_ZOOM_OUT times the view of the whole world (see clampViewWidth)
+const MIN_VIEW_SIZE = 500;
+const MAX_ZOOM_OUT = 2;
+const FALLBACK_MAX_VIEW_SIZE = 50000; // Before the rooms are loaded
+
 // Make isDragging globally accessible
 window.isDragging = false;
 
@@ -40,14 +46,66 @@ function getViewBox() {
 }
 
 /**
- * Set viewBox on SVG
+ * Set viewBox on SVG (stops any camera animation)
  */
 function setViewBox(x, y, width, height) {
+    cancelCameraAnimation();
+    applyViewBox(x, y, width, height);
+}
+
+/**
+ * Set viewBox on SVG and notify the other scripts
+ */
+function applyViewBox(x, y, width, height) {
     viewBoxX = x;
     viewBoxY = y;
     viewBoxWidth = width;
     viewBoxHeight = height;
     svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+    // Let other scripts (pins, overlays...) react to the new view
+    svg.dispatchEvent(new CustomEvent('viewboxchange', {
+        detail: { x, y, width, height }
+    }));
+}
+
+/**
+ * Convert screen (client) coordinates to world coordinates
+ */
+function screenToWorld(clientX, clientY) {
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return null;
+
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    const world = point.matrixTransform(ctm.inverse());
+    return { x: world.x, y: world.y };
+}
+
+/**
+ * World rectangle currently visible in the map container
+ */
+function getVisibleWorldRect() {
+    const rect = container.getBoundingClientRect();
+    const topLeft = screenToWorld(rect.left, rect.top);
+    const bottomRight = screenToWorld(rect.right, rect.bottom);
+    if (!topLeft || !bottomRight) return null;
+
+    return {
+        x: topLeft.x,
+        y: topLeft.y,
+        width: bottomRight.x - topLeft.x,
+        height: bottomRight.y - topLeft.y
+    };
+}
+
+/**
+ * Size of one screen pixel in world units at the current zoom
+ */
+function getPixelSize() {
+    const ctm = svg.getScreenCTM();
+    return ctm && ctm.a ? 1 / ctm.a : 1;
 }
 
 /**
@@ -58,154 +116,561 @@ window.addEventListener('load', () => {
     console.log('Initial viewBox:', { viewBoxX, viewBoxY, viewBoxWidth, viewBoxHeight });
 });
 
+/**
+ * Zoom factor of one wheel notch (or zoom key press), from the zoom sensitivity setting
+ */
+function getZoomFactor(zoomOut) {
+    const step = 0.2 * SettingsStore.get('zoomSensitivity');
+    return zoomOut ? 1 + step : 1 / (1 + step);
+}
+
 /**
  * Zoom with mouse wheel
  */
 container.addEventListener('wheel', (e) => {
     e.preventDefault();
 
+    const rect = container.getBoundingClientRect();
+    zoomAt(e.clientX - rect.left, e.clientY - rect.top, getZoomFactor(e.deltaY > 0));
+});
+
+/**
+ * Zoom keeping the point under (mouseX, mouseY) in the container fixed
+ */
+function zoomAt(mouseX, mouseY, zoomFactor) {
     // Get current viewBox
     getViewBox();
 
-    // Get mouse position relative to container
     const rect = container.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
 
     // Convert screen coordinates to world coordinates
     const worldX = viewBoxX + (mouseX / rect.width) * viewBoxWidth;
     const worldY = viewBoxY + (mouseY / rect.height) * viewBoxHeight;
 
-    // Calculate zoom factor
-    const zoomFactor = e.deltaY > 0 ? 1.2 : 0.8; // Zoom out or zoom in
-    const newWidth = Math.max(500, Math.min(50000, viewBoxWidth * zoomFactor));
-    const newHeight = Math.max(500, Math.min(50000, viewBoxHeight * zoomFactor));
-
     // Maintain aspect ratio
     const aspectRatio = viewBoxWidth / viewBoxHeight;
-    const newAspect = newWidth / newHeight;
-
-    let finalWidth = newWidth;
-    let finalHeight = newHeight;
-
-    if (newAspect > aspectRatio) {
-        finalHeight = newWidth / aspectRatio;
-    } else {
-        finalWidth = newHeight * aspectRatio;
-    }
+    const finalWidth = clampViewWidth(viewBoxWidth * zoomFactor, aspectRatio);
+    const finalHeight = finalWidth / aspectRatio;
 
     // Calculate new viewBox position to zoom towards mouse
     const newX = worldX - (mouseX / rect.width) * finalWidth;
     const newY = worldY - (mouseY / rect.height) * finalHeight;
 
     setViewBox(newX, newY, finalWidth, finalHeight);
+}
+
+/**
+ * Move the view by a fraction of its size (1 = a whole screen)
+ */
+function panBy(fractionX, fractionY) {
+    getViewBox();
+    setViewBox(
+        viewBoxX + fractionX * viewBoxWidth,
+        viewBoxY + fractionY * viewBoxHeight,
+        viewBoxWidth,
+        viewBoxHeight
+    );
+}
+
+/**
+ * Zoom around the centre of the map (factor < 1 zooms in)
+ */
+function zoomBy(zoomFactor) {
+    const rect = container.getBoundingClientRect();
+    zoomAt(rect.width / 2, rect.height / 2, zoomFactor);
+}
+
+// Fraction of the view moved by one pan key press (repeats while held)
+const PAN_STEP = 0.1;
+
+// Pan key actions and their direction
+const PAN_ACTIONS = {
+    panUp: [0, -1],
+    panDown: [0, 1],
+    panLeft: [-1, 0],
+    panRight: [1, 0]
+};
+
+/**
+ * Zoom, pan and reset keys (see the key bindings setting)
+ */
+document.addEventListener('keydown', (e) => {
+    if (SettingsStore.matchesKey('zoomIn', e)) {
+        zoomBy(getZoomFactor(false));
+    } else if (SettingsStore.matchesKey('zoomOut', e)) {
+        zoomBy(getZoomFactor(true));
+    } else if (SettingsStore.matchesKey('resetView', e)) {
+        resetMapView();
+    } else {
+        for (const [action, [x, y]] of Object.entries(PAN_ACTIONS)) {
+            if (SettingsStore.matchesKey(action, e)) {
+                e.preventDefault(); // Arrows would scroll the page
+                panBy(x * PAN_STEP, y * PAN_STEP);
+                return;
+            }
+        }
+    }
 });
 
 /**
- * Start dragging
+ * Pointer input (mouse, touch, pen)
+ * One pointer pans, two pointers pinch-zoom around their centre, a touch
+ * long-press places the guess pin. A press only becomes a drag once it
+ * moves past DRAG_THRESHOLD, so clicks on rooms still select them;
+ * window.isDragging stays true until the click that ends a drag is ignored.
  */
-container.addEventListener('mousedown', (e) => {
-    if (e.button !== 0) return; // Only left click
+const DRAG_THRESHOLD = 5; // Screen pixels before a press becomes a drag
+const LONG_PRESS_DELAY = 500; // Milliseconds
+const VELOCITY_WINDOW = 100; // Milliseconds of movement the release speed is measured on
+const pointers = new Map(); // Pointer id -> {x, y} in client coordinates
+let gesture = null; // Pan or pinch in progress: start positions and viewBox
+let longPressTimer = null;
 
-    // Don't drag if clicking on a room
-    const target = e.target.closest('.room-group');
-    if (target) return;
+/**
+ * Start a pan (one pointer) or a pinch (two pointers) from the current positions
+ */
+function startGesture() {
+    getViewBox();
+    const points = [...pointers.values()];
+    gesture = {
+        viewBox: { x: viewBoxX, y: viewBoxY, width: viewBoxWidth, height: viewBoxHeight },
+        center: getCenter(points),
+        distance: points.length > 1 ? getDistance(points[0], points[1]) : 0,
+        samples: [] // Recent one-pointer positions, for the inertia
+    };
+}
 
-    e.preventDefault();
+/**
+ * Middle of the pointers
+ */
+function getCenter(points) {
+    return {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+}
+
+/**
+ * Distance between two pointers
+ */
+function getDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Mark the current gesture as a drag (no click, no long-press)
+ */
+function beginDrag() {
+    cancelLongPress();
     isDragging = true;
     window.isDragging = true;
     container.style.cursor = 'grabbing';
-
-    // Store starting position and viewBox
-    startX = e.clientX;
-    startY = e.clientY;
-    getViewBox();
-    startViewBox = { x: viewBoxX, y: viewBoxY, width: viewBoxWidth, height: viewBoxHeight };
-});
+}
 
 /**
- * Handle dragging
+ * Pan and zoom so the world point under the gesture's start centre
+ * follows the current centre, scaled by the pinch
  */
-container.addEventListener('mousemove', (e) => {
-    if (!isDragging) return;
-
-    // Calculate how much the mouse moved
+function updateGesture() {
     const rect = container.getBoundingClientRect();
-    const deltaX = (e.clientX - startX) / rect.width * startViewBox.width;
-    const deltaY = (e.clientY - startY) / rect.height * startViewBox.height;
+    const points = [...pointers.values()];
+    const center = getCenter(points);
+    const start = gesture.viewBox;
+
+    let width = start.width;
+    if (points.length > 1 && gesture.distance > 0) {
+        width = clampViewWidth(start.width * gesture.distance / getDistance(points[0], points[1]), start.width / start.height);
+    }
+    const height = width * start.height / start.width;
+
+    const worldX = start.x + ((gesture.center.x - rect.left) / rect.width) * start.width;
+    const worldY = start.y + ((gesture.center.y - rect.top) / rect.height) * start.height;
 
-    // Update viewBox based on drag
     setViewBox(
-        startViewBox.x - deltaX,
-        startViewBox.y - deltaY,
-        startViewBox.width,
-        startViewBox.height
+        worldX - ((center.x - rect.left) / rect.width) * width,
+        worldY - ((center.y - rect.top) / rect.height) * height,
+        width,
+        height
     );
-});
+}
 
 /**
- * End dragging
+ * Place the guess pin at a screen position
  */
-container.addEventListener('mouseup', () => {
-    if (isDragging) {
-        isDragging = false;
-        window.isDragging = false;
-        container.style.cursor = 'grab';
+function placePinAt(clientX, clientY) {
+    if (typeof GuessPin === 'undefined') return;
+
+    const world = screenToWorld(clientX, clientY);
+    if (world) {
+        GuessPin.place(world.x, world.y);
+    }
+}
+
+/**
+ * Long-press with a finger or pen places the pin (like right click)
+ */
+function startLongPress(e) {
+    cancelLongPress();
+    const { clientX, clientY } = e;
+    longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+        placePinAt(clientX, clientY);
+        // The release that follows isn't a click, and the finger no longer pans
+        isDragging = true;
+        window.isDragging = true;
+        gesture = null;
+    }, LONG_PRESS_DELAY);
+}
+
+function cancelLongPress() {
+    if (longPressTimer !== null) {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+    }
+}
+
+container.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return; // Right click places the pin
+
+    // Grabbing the map stops it (inertia, flyTo...)
+    cancelCameraAnimation();
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+
+    if (pointers.size === 1) {
+        gesture.pressX = e.clientX;
+        gesture.pressY = e.clientY;
+        if (e.pointerType !== 'mouse') startLongPress(e);
+    } else {
+        // A second finger always zooms
+        beginDrag();
+    }
+});
+
+container.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (!gesture) return;
+    if (!isDragging) {
+        const moved = Math.hypot(e.clientX - gesture.pressX, e.clientY - gesture.pressY);
+        if (moved < DRAG_THRESHOLD) return;
+        beginDrag();
+        // Keep receiving the moves outside the map (only once dragging, so clicks keep their target)
+        container.setPointerCapture(e.pointerId);
+    }
+    updateGesture();
+
+    if (pointers.size === 1) {
+        gesture.samples.push({ time: e.timeStamp, x: e.clientX, y: e.clientY });
+        while (e.timeStamp - gesture.samples[0].time > VELOCITY_WINDOW) gesture.samples.shift();
     }
 });
 
 /**
- * Cancel drag if mouse leaves
+ * Speed of the pointer at the end of a pan, in screen pixels per millisecond
  */
-container.addEventListener('mouseleave', () => {
+function getReleaseVelocity(samples, releaseTime) {
+    if (samples.length < 2) return null;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    // Held still before releasing: no throw
+    if (releaseTime - last.time > VELOCITY_WINDOW / 2 || last.time === first.time) return null;
+
+    const duration = last.time - first.time;
+    return { x: (last.x - first.x) / duration, y: (last.y - first.y) / duration };
+}
+
+/**
+ * A pointer is released or lost
+ */
+function endPointer(e) {
+    if (!pointers.delete(e.pointerId)) return;
+    cancelLongPress();
+
+    if (pointers.size > 0) {
+        // Pinch -> pan with the remaining finger, from where it is now
+        startGesture();
+        return;
+    }
+
+    const velocity = gesture && isDragging && e.type === 'pointerup'
+        ? getReleaseVelocity(gesture.samples, e.timeStamp) : null;
+    gesture = null;
+    container.style.cursor = '';
+    if (velocity) {
+        startInertia(velocity.x, velocity.y);
+    }
     if (isDragging) {
         isDragging = false;
-        window.isDragging = false;
-        container.style.cursor = 'grab';
+        // Cleared after the click event that ends the drag
+        setTimeout(() => { window.isDragging = false; }, 0);
     }
+}
+
+container.addEventListener('pointerup', endPointer);
+container.addEventListener('pointercancel', endPointer);
+// A mouse released outside the map before it started dragging (not captured yet)
+container.addEventListener('pointerleave', (e) => {
+    if (!container.hasPointerCapture(e.pointerId)) endPointer(e);
+});
+
+/**
+ * Place the guess pin with right click
+ */
+container.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    // Touch long-presses are handled above
+    if (isDragging || pointers.size > 0 || typeof GuessPin === 'undefined') return;
+
+    placePinAt(e.clientX, e.clientY);
 });
 
+/**
+ * View of the whole world (null before the rooms are loaded)
+ */
+function getHomeViewBox() {
+    const bounds = typeof RoomRenderer !== 'undefined' ? RoomRenderer.getWorldBounds() : null;
+    if (!bounds) return null;
+
+    const padding = 200;
+    return {
+        x: bounds.minX - padding,
+        y: bounds.minY - padding,
+        width: bounds.maxX - bounds.minX + padding * 2,
+        height: bounds.maxY - bounds.minY + padding * 2
+    };
+}
+
 /**
  * Reset map view
  */
 function resetMapView() {
-    // Get world bounds from rooms
-    const roomsGroup = document.getElementById('rooms-group');
-    const rooms = roomsGroup.querySelectorAll('.room-group');
-    
-    if (rooms.length === 0) {
+    const home = getHomeViewBox();
+
+    if (!home) {
         setViewBox(0, 0, 10000, 10000);
         return;
     }
 
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
+    setViewBox(home.x, home.y, home.width, home.height);
+    console.log('Map view reset');
+}
+
+/**
+ * Width of a view of the given aspect ratio, within the zoom limits:
+ * not closer than MIN_VIEW_SIZE, not further than MAX_ZOOM_OUT times the whole world
+ */
+function clampViewWidth(width, aspectRatio) {
+    const home = getHomeViewBox();
+    const max = home
+        ? Math.max(home.width, home.height * aspectRatio) * MAX_ZOOM_OUT
+        : FALLBACK_MAX_VIEW_SIZE;
+    const min = MIN_VIEW_SIZE * Math.max(1, aspectRatio);
+    return Math.min(Math.max(width, min), max);
+}
+
+/**
+ * Camera animations (flyTo, fit*, inertia)
+ * One runs at a time; starting another one, or any user move, cancels it.
+ * The animating functions return a promise resolving to true when the
+ * animation ends and to false when it is cancelled.
+ */
+const CAMERA_DURATION = 700; // Milliseconds
+const FIT_PADDING = 150; // Map pixels around a fitted room or region
+const INERTIA_FRICTION = 0.95; // Speed kept every 16 ms
+const INERTIA_MIN_SPEED = 0.05; // Screen pixels per millisecond
+let cameraAnimation = null; // {frame, resolve} of the running animation
+
+/**
+ * Whether the user asked for less motion (moves are then instant)
+ */
+function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Ease-in-out (cubic) of an animation's progress
+ */
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Call step(now) on every frame until it returns false
+ */
+function runCameraAnimation(step) {
+    cancelCameraAnimation();
+
+    return new Promise((resolve) => {
+        const animation = { frame: null, resolve };
+        const tick = (now) => {
+            if (step(now)) {
+                animation.frame = requestAnimationFrame(tick);
+            } else {
+                cameraAnimation = null;
+                resolve(true);
+            }
+        };
+        cameraAnimation = animation;
+        animation.frame = requestAnimationFrame(tick);
+    });
+}
+
+/**
+ * Stop the running camera animation, where it is
+ */
+function cancelCameraAnimation() {
+    if (!cameraAnimation) return;
 
-    for (const room of rooms) {
-        const x = parseInt(room.getAttribute('data-pos-x')) || 0;
-        const y = parseInt(room.getAttribute('data-pos-y')) || 0;
-        const w = parseInt(room.getAttribute('data-width')) || 0;
-        const h = parseInt(room.getAttribute('data-height')) || 0;
+    cancelAnimationFrame(cameraAnimation.frame);
+    cameraAnimation.resolve(false);
+    cameraAnimation = null;
+}
 
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x + w);
-        maxY = Math.max(maxY, y + h);
+/**
+ * Move the view to a centre and width (kept within the zoom limits)
+ * The zoom changes geometrically, so zooming in and out look alike
+ */
+function animateCamera(centerX, centerY, width, duration = CAMERA_DURATION) {
+    getViewBox();
+    const aspectRatio = viewBoxWidth / viewBoxHeight;
+    const from = { x: viewBoxX + viewBoxWidth / 2, y: viewBoxY + viewBoxHeight / 2, width: viewBoxWidth };
+    const to = { x: centerX, y: centerY, width: clampViewWidth(width, aspectRatio) };
+
+    if (duration <= 0 || prefersReducedMotion()) {
+        setViewBox(to.x - to.width / 2, to.y - to.width / aspectRatio / 2, to.width, to.width / aspectRatio);
+        return Promise.resolve(true);
     }
 
-    const padding = 200;
-    const width = maxX - minX + padding * 2;
-    const height = maxY - minY + padding * 2;
+    let startTime = null;
+    return runCameraAnimation((now) => {
+        if (startTime === null) startTime = now;
+        const progress = Math.min(1, (now - startTime) / duration);
+        const eased = easeInOutCubic(progress);
+
+        const currentWidth = from.width * Math.pow(to.width / from.width, eased);
+        const currentHeight = currentWidth / aspectRatio;
+        applyViewBox(
+            from.x + (to.x - from.x) * eased - currentWidth / 2,
+            from.y + (to.y - from.y) * eased - currentHeight / 2,
+            currentWidth,
+            currentHeight
+        );
+        return progress < 1;
+    });
+}
 
-    setViewBox(minX - padding, minY - padding, width, height);
-    console.log('Map view reset');
+/**
+ * Fly to a world point {x, y}
+ * zoom: how many times closer than the whole-world view (current zoom if omitted)
+ * options.duration: milliseconds (0 = instant)
+ */
+function flyTo(point, zoom, options = {}) {
+    getViewBox();
+    const home = getHomeViewBox();
+    const width = zoom > 0 && home ? home.width / zoom : viewBoxWidth;
+    return animateCamera(point.x, point.y, width, options.duration);
+}
+
+/**
+ * Fly to show a world rectangle {x, y, width, height} whole
+ * options.padding: map pixels kept around it, options.duration: milliseconds
+ */
+function fitBounds(rect, options = {}) {
+    getViewBox();
+    const aspectRatio = viewBoxWidth / viewBoxHeight;
+    const padding = options.padding === undefined ? FIT_PADDING : options.padding;
+    const width = Math.max(rect.width + padding * 2, (rect.height + padding * 2) * aspectRatio);
+
+    return animateCamera(rect.x + rect.width / 2, rect.y + rect.height / 2, width, options.duration);
+}
+
+/**
+ * Fly to a room by its full name; resolves to false if it isn't loaded
+ */
+function fitRoom(roomName, options) {
+    const room = RoomRenderer.findRoom(roomName);
+    const bounds = room ? RoomRenderer.getRoomBounds(room) : null;
+    if (!bounds) return Promise.resolve(false);
+
+    return fitBounds(bounds, options);
+}
+
+/**
+ * Fly to a whole region by its code; resolves to false if it has no room
+ */
+function fitRegion(regionCode, options) {
+    const bounds = RoomRenderer.getRegionBounds(regionCode);
+    if (!bounds) return Promise.resolve(false);
+
+    return fitBounds({
+        x: bounds.minX,
+        y: bounds.minY,
+        width: bounds.maxX - bounds.minX,
+        height: bounds.maxY - bounds.minY
+    }, options);
+}
+
+/**
+ * Keep the map gliding after a pan is released, slowing down
+ * velocity: screen pixels per millisecond
+ */
+function startInertia(velocityX, velocityY) {
+    if (Math.hypot(velocityX, velocityY) < INERTIA_MIN_SPEED || prefersReducedMotion()) return;
+
+    const rect = container.getBoundingClientRect();
+    let speedX = velocityX;
+    let speedY = velocityY;
+    let last = null;
+
+    runCameraAnimation((now) => {
+        const elapsed = last === null ? 16 : now - last;
+        last = now;
+
+        getViewBox();
+        applyViewBox(
+            viewBoxX - speedX * elapsed * viewBoxWidth / rect.width,
+            viewBoxY - speedY * elapsed * viewBoxHeight / rect.height,
+            viewBoxWidth,
+            viewBoxHeight
+        );
+
+        const decay = Math.pow(INERTIA_FRICTION, elapsed / 16);
+        speedX *= decay;
+        speedY *= decay;
+        return Math.hypot(speedX, speedY) >= INERTIA_MIN_SPEED;
+    });
 }
 
 // Export functions for use in other scripts
 window.mapControls = {
     getViewBox: () => ({ x: viewBoxX, y: viewBoxY, width: viewBoxWidth, height: viewBoxHeight }),
     setViewBox: setViewBox,
-    reset: resetMapView
+    reset: resetMapView,
+    screenToWorld: screenToWorld,
+    getPixelSize: getPixelSize,
+    getVisibleWorldRect: getVisibleWorldRect,
+    pan: panBy,
+    zoom: zoomBy,
+    // Animated camera (see runCameraAnimation)
+    flyTo: flyTo,
+    fitBounds: fitBounds,
+    fitRoom: fitRoom,
+    fitRegion: fitRegion,
+    cancelAnimation: cancelCameraAnimation,
+    isAnimating: () => cameraAnimation !== null,
+    // Keyboard focus on the rooms (see map-init.js)
+    focusRoom: (name) => focusRoom(name),
+    focusNextRoom: (step = 1) => focusNextRoom(step),
+    // Remappable keys: actions are SettingsStore keyBindings entries, a binding is a key or an array of keys
+    keyBindings: {
+        actions: ['zoomIn', 'zoomOut', 'resetView', ...Object.keys(PAN_ACTIONS), 'focusRoom', 'selectRoom'],
+        get: (action) => SettingsStore.getKeyBinding(action),
+        set: (action, keys) => SettingsStore.setKeyBinding(action, keys),
+        reset: () => SettingsStore.reset('keyBindings')
+    }
 };
 
 
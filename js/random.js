@@ -0,0 +1,69 @@
+/**
+ * Seeded random numbers for Rain-Guessr
+ * Same seed = same sequence, so a game can be replayed exactly
+ */
+
+const SeededRandom = {
+  /**
+   * Turn any seed (number or string) into a 32-bit integer
+   */
+  hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // FNV-1a hash of the string form
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * New random seed (short string that can be typed or shared)
+   */
+  randomSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36).padStart(7, '0');
+  },
+
+  /**
+   * Create a generator; without a seed it falls back to Math.random
+   */
+  create(seed) {
+    let next;
+
+    if (seed === undefined || seed === null || seed === '') {
+      next = Math.random;
+    } else {
+      // mulberry32
+      let state = this.hashSeed(seed);
+      next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    return {
+      seed,
+      // Float in [0, 1)
+      next,
+      // Float in [min, max)
+      float: (min, max) => min + next() * (max - min),
+      // Integer in [min, max]
+      int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+      // Random element of an array
+      pick: (array) => array[Math.floor(next() * array.length)]
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
@@ -0,0 +1,152 @@
+/**
+ * Region Overlay for Rain-Guessr
+ * Region names (displayname.txt) drawn over their rooms in the region colour,
+ * readable when zoomed out and fading away when zoomed in, and the legend
+ * listing the regions with their colour (editable, see the regionColors setting)
+ */
+
+const RegionOverlay = {
+  LABEL_SIZE: 22, // Screen pixels, whatever the zoom
+  // World units per screen pixel: labels fade from FADE_START (opaque) to FADE_END (hidden)
+  FADE_START: 8, // Where rooms get drawn in detail, see RoomRenderer.DETAIL_MAX_PIXEL_SIZE
+  FADE_END: 3,
+
+  group: null,
+  visible: true,
+
+  /**
+   * Draw the labels and the legend (the rooms must be registered)
+   */
+  init() {
+    this.group = document.getElementById('region-labels-group');
+    const svg = document.getElementById('map-svg');
+    if (!this.group || !svg) {
+      console.error('Region labels group not found');
+      return;
+    }
+
+    this.render();
+    this.setVisible(SettingsStore.get('showRegionLabels'));
+
+    svg.addEventListener('viewboxchange', () => this.updateScale());
+    window.addEventListener('languagechange', () => this.render());
+    SettingsStore.onChange('showRegionLabels', visible => this.setVisible(visible));
+    SettingsStore.onChange('regionColors', () => this.render());
+
+    const button = document.getElementById('regions-btn');
+    if (button) {
+      button.addEventListener('click', () => this.toggleLegend());
+    }
+    const resetButton = document.getElementById('reset-region-colors');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => SettingsStore.reset('regionColors'));
+    }
+  },
+
+  /**
+   * Regions on the map, by code
+   */
+  getRegionCodes() {
+    return Object.keys(RoomRenderer.allRooms).sort();
+  },
+
+  /**
+   * Draw one label per region, centred on its rooms, and the legend
+   */
+  render() {
+    if (!this.group) return;
+
+    this.group.replaceChildren();
+    for (const regionCode of this.getRegionCodes()) {
+      const bounds = RoomRenderer.getRegionBounds(regionCode);
+      if (!bounds) continue;
+
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('x', (bounds.minX + bounds.maxX) / 2);
+      label.setAttribute('y', (bounds.minY + bounds.maxY) / 2);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('dy', '0.35em');
+      label.setAttribute('class', 'region-label');
+      label.setAttribute('data-region', regionCode);
+      label.setAttribute('fill', RoomRenderer.getRegionColor(regionCode));
+      label.textContent = RoomRenderer.getRegionName(regionCode);
+      this.group.appendChild(label);
+    }
+
+    this.updateScale();
+    this.renderLegend();
+  },
+
+  /**
+   * Keep the labels at LABEL_SIZE on screen and fade them when zooming in
+   */
+  updateScale() {
+    if (!this.group || !window.mapControls) return;
+
+    const pixelSize = window.mapControls.getPixelSize();
+    const opacity = Math.min(1, Math.max(0, (pixelSize - this.FADE_END) / (this.FADE_START - this.FADE_END)));
+    this.group.setAttribute('font-size', this.LABEL_SIZE * pixelSize);
+    this.group.style.opacity = opacity;
+  },
+
+  /**
+   * One legend row per region: colour picker, and its name (click to show the region)
+   */
+  renderLegend() {
+    const list = document.getElementById('region-legend-list');
+    if (!list) return;
+
+    list.replaceChildren();
+    for (const regionCode of this.getRegionCodes()) {
+      const regionName = RoomRenderer.getRegionName(regionCode);
+      const item = document.createElement('li');
+
+      const colour = document.createElement('input');
+      colour.type = 'color';
+      colour.value = RoomRenderer.getRegionColor(regionCode);
+      colour.setAttribute('aria-label', I18n.t('legend.color', { region: regionName }));
+      colour.addEventListener('change', () => {
+        SettingsStore.set('regionColors', { ...SettingsStore.get('regionColors'), [regionCode]: colour.value });
+      });
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'legend-region';
+      name.textContent = `${regionCode} - ${regionName}`;
+      name.addEventListener('click', () => window.mapControls.fitRegion(regionCode));
+
+      item.append(colour, name);
+      list.appendChild(item);
+    }
+  },
+
+  /**
+   * Show or hide the region labels (and remember the choice)
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    SettingsStore.set('showRegionLabels', visible);
+    if (this.group) {
+      this.group.classList.toggle('hidden', !visible);
+    }
+  },
+
+  /**
+   * Open or close the legend panel
+   */
+  toggleLegend() {
+    const legend = document.getElementById('region-legend');
+    if (!legend) return;
+
+    const open = legend.classList.toggle('hidden') === false;
+    const button = document.getElementById('regions-btn');
+    if (button) {
+      button.classList.toggle('active', open);
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionOverlay;
+}
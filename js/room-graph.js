@@ -0,0 +1,265 @@
+/**
+ * Room Graph for Rain-Guessr
+ * Parses the world_XX.txt connection files into a graph of rooms
+ * (neighbours, tags like SHELTER/GATE/SWARMROOM, shortest paths)
+ */
+
+const RoomGraph = {
+  // Configuration
+  DATA_PATH: '../map-reader/World-vector/Regions/Data',
+  DOWNPOUR_PATH: '../map-reader/downpour/world', // Regions added by Downpour
+  DISCONNECTED: 'DISCONNECTED',
+
+  // Room full name -> { name, regions, exits, neighbours, tags }
+  // exits keeps the file order (one entry per room exit, null when disconnected)
+  nodes: {},
+  loadedRegions: [],
+
+  /**
+   * Load the connection files of the given regions (defaults to the loaded map)
+   */
+  async load(regions = Object.keys(RoomRenderer.allRooms)) {
+    this.nodes = {};
+    this.loadedRegions = [];
+
+    await Promise.all(regions.map(region => this.loadRegion(region)));
+
+    this.mergeWithRenderer();
+    console.log(`Room graph loaded: ${Object.keys(this.nodes).length} rooms in ${this.loadedRegions.length} regions`);
+    return this.nodes;
+  },
+
+  /**
+   * Path of a region's connection file
+   */
+  getWorldFilePath(regionCode) {
+    return `${this.DATA_PATH}/${regionCode}/world_${regionCode.toLowerCase()}.txt`;
+  },
+
+  /**
+   * Path of a Downpour region's connection file
+   */
+  getDownpourWorldFilePath(regionCode) {
+    const code = regionCode.toLowerCase();
+    return `${this.DOWNPOUR_PATH}/${code}/world_${code}.txt`;
+  },
+
+  /**
+   * Load and parse the connection file of one region
+   */
+  async loadRegion(regionCode) {
+    try {
+      let response = await fetch(this.getWorldFilePath(regionCode));
+      if (!response.ok) {
+        response = await fetch(this.getDownpourWorldFilePath(regionCode));
+      }
+      if (!response.ok) {
+        console.warn(`Could not load connections for ${regionCode}`);
+        return;
+      }
+
+      const entries = this.parseWorldFile(await response.text());
+      for (const entry of entries) {
+        this.addEntry(entry, regionCode);
+      }
+      this.loadedRegions.push(regionCode);
+    } catch (error) {
+      console.warn(`Error loading connections for ${regionCode}:`, error);
+    }
+  },
+
+  /**
+   * Parse the ROOMS section of a world file
+   * Line format: "NAME : EXIT, EXIT, DISCONNECTED : TAG"
+   */
+  parseWorldFile(fileContent) {
+    const entries = [];
+    let inRooms = false;
+
+    for (const line of fileContent.split('\n')) {
+      const trimmed = line.trim();
+
+      if (trimmed === 'ROOMS') {
+        inRooms = true;
+        continue;
+      }
+      if (trimmed === 'END ROOMS') break;
+      if (!inRooms || !trimmed || trimmed.startsWith('//')) continue;
+
+      // Drop campaign conditions like "(White,Yellow)"
+      const parts = trimmed.replace(/^\([^)]*\)/, '').split(' : ').map(p => p.trim());
+      if (parts.length < 2) continue;
+
+      entries.push({
+        name: parts[0].toUpperCase(),
+        exits: parts[1]
+          .split(',')
+          .map(exit => exit.trim().toUpperCase())
+          .filter(Boolean)
+          .map(exit => (exit === this.DISCONNECTED ? null : exit)),
+        tags: parts.slice(2).map(tag => tag.toUpperCase()).filter(Boolean)
+      });
+    }
+
+    return entries;
+  },
+
+  /**
+   * Get (or create) the node of a room
+   */
+  getOrCreateNode(name) {
+    if (!this.nodes[name]) {
+      this.nodes[name] = { name, regions: [], exits: [], neighbours: [], tags: [] };
+    }
+    return this.nodes[name];
+  },
+
+  /**
+   * Add a parsed entry; gates appear in both regions' files and are merged
+   */
+  addEntry(entry, regionCode) {
+    const node = this.getOrCreateNode(entry.name);
+
+    if (!node.regions.includes(regionCode)) {
+      node.regions.push(regionCode);
+    }
+    for (const tag of entry.tags) {
+      if (!node.tags.includes(tag)) node.tags.push(tag);
+    }
+
+    // Each region only knows its side of a gate: fill the disconnected exits
+    entry.exits.forEach((exit, index) => {
+      if (exit || node.exits[index] === undefined) {
+        node.exits[index] = exit;
+      }
+    });
+
+    for (const exit of entry.exits) {
+      if (exit) this.addEdge(entry.name, exit);
+    }
+  },
+
+  /**
+   * Connect two rooms both ways
+   */
+  addEdge(a, b) {
+    const nodeA = this.getOrCreateNode(a);
+    const nodeB = this.getOrCreateNode(b);
+    if (!nodeA.neighbours.includes(b)) nodeA.neighbours.push(b);
+    if (!nodeB.neighbours.includes(a)) nodeB.neighbours.push(a);
+  },
+
+  /**
+   * Attach neighbours and tags to the rooms loaded by RoomRenderer
+   */
+  mergeWithRenderer() {
+    const unconnected = [];
+
+    for (const rooms of Object.values(RoomRenderer.allRooms)) {
+      for (const room of rooms) {
+        if (!room || !room.fullName) continue;
+
+        const node = this.nodes[room.fullName.toUpperCase()];
+        room.neighbours = node ? node.neighbours : [];
+        room.tags = node ? node.tags : [];
+        if (!node) unconnected.push(room.fullName);
+      }
+    }
+
+    if (unconnected.length > 0) {
+      console.warn(`Rooms without connection data: ${unconnected.join(', ')}`);
+    }
+  },
+
+  /**
+   * Neighbouring rooms of a room
+   */
+  getNeighbours(name) {
+    const node = this.nodes[(name || '').toUpperCase()];
+    return node ? node.neighbours : [];
+  },
+
+  /**
+   * Tags of a room (SHELTER, GATE, SWARMROOM...)
+   */
+  getTags(name) {
+    const node = this.nodes[(name || '').toUpperCase()];
+    return node ? node.tags : [];
+  },
+
+  /**
+   * Whether a room has a tag
+   */
+  hasTag(name, tag) {
+    return this.getTags(name).includes(tag.toUpperCase());
+  },
+
+  /**
+   * Every room with a tag
+   */
+  getRoomsWithTag(tag) {
+    const wanted = tag.toUpperCase();
+    return Object.values(this.nodes).filter(node => node.tags.includes(wanted)).map(node => node.name);
+  },
+
+  /**
+   * Gates between regions: [{ name, regions: ['CC', 'UW'], neighbours }]
+   */
+  getGates() {
+    return Object.values(this.nodes)
+      .filter(node => node.tags.includes('GATE') || node.name.startsWith('GATE_'))
+      .map(node => ({
+        name: node.name,
+        regions: node.name.split('_').slice(1),
+        neighbours: node.neighbours
+      }));
+  },
+
+  /**
+   * Shortest path between two rooms (breadth-first search)
+   * Returns the list of room names from start to end, or null if unreachable
+   */
+  shortestPath(start, end) {
+    const from = (start || '').toUpperCase();
+    const to = (end || '').toUpperCase();
+    if (!this.nodes[from] || !this.nodes[to]) return null;
+    if (from === to) return [from];
+
+    const previous = { [from]: null };
+    const queue = [from];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const neighbour of this.nodes[current].neighbours) {
+        if (neighbour in previous) continue;
+
+        previous[neighbour] = current;
+        if (neighbour === to) {
+          const path = [to];
+          let step = current;
+          while (step !== null) {
+            path.unshift(step);
+            step = previous[step];
+          }
+          return path;
+        }
+        queue.push(neighbour);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Number of room transitions between two rooms (Infinity if unreachable)
+   */
+  getRoomsAway(start, end) {
+    const path = this.shortestPath(start, end);
+    return path ? path.length - 1 : Infinity;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoomGraph;
+}
@@ -6,19 +6,111 @@
 const RoomRenderer = {
   // Configuration
   TILE_SIZE: 15,
-  TILE_TYPES: {
-    '.': '#1a1a1a',
-    '#': '#444',
-    '|': '#666',
-    '-': '#666',
-    '+': '#888',
-    '=': '#666',
-    '/': '#555',
-    'H': '#ff6600',
+  TERRAIN_SCALE: 3, // Canvas pixels per tile (the image is stretched to TILE_SIZE)
+
+  // Colour palettes: one colour per tile character, plus the room border
+  // '.' air, '#' solid, '|' '-' '+' poles, '=' shortcut, '/' slope, 'H' entrance
+  PALETTES: {
+    classic: {
+      '.': '#1a1a1a',
+      '#': '#444',
+      '|': '#666',
+      '-': '#666',
+      '+': '#888',
+      '=': '#666',
+      '/': '#555',
+      'H': '#ff6600',
+      border: '#0f0'
+    },
+    rainworld: {
+      '.': 'rgba(0, 0, 0, 0.6)',
+      '#': '#d8d8d8',
+      '|': '#8a8a8a',
+      '-': '#8a8a8a',
+      '+': '#8a8a8a',
+      '=': '#ffffff',
+      '/': '#b0b0b0',
+      'H': '#ffffff',
+      border: '#ffffff'
+    },
+    contrast: {
+      '.': '#000',
+      '#': '#fff',
+      '|': '#ff0',
+      '-': '#ff0',
+      '+': '#ff0',
+      '=': '#0ff',
+      '/': '#ccc',
+      'H': '#f0f',
+      border: '#0f0'
+    }
   },
+  paletteName: 'classic',
+  TILE_TYPES: null, // Active palette, see setPalette()
+
+  // Region colours (room borders, zoomed-out rooms, region labels), overridden by the regionColors setting
+  REGION_COLORS: {
+    CC: '#d9d36a',
+    CL: '#a0c0e0',
+    DM: '#6080ff',
+    DS: '#4fa3a3',
+    GW: '#a0b040',
+    HI: '#e0a050',
+    HR: '#ff4040',
+    LC: '#e0e070',
+    LF: '#e8c890',
+    LM: '#40e0c0',
+    MS: '#4070c0',
+    OE: '#f0b060',
+    RM: '#d040a0',
+    SB: '#d06040',
+    SH: '#9a7fd0',
+    SI: '#c8d8ff',
+    SL: '#4fc0e0',
+    SS: '#ff7f9f',
+    SU: '#7fd67f',
+    UG: '#60c060',
+    UW: '#b0b0b0',
+    VS: '#c0a080'
+  },
+  // Regions without a colour get one of these, picked from their code
+  FALLBACK_REGION_COLORS: ['#ff8080', '#80ff80', '#8080ff', '#ffff80', '#ff80ff', '#80ffff', '#ffc080', '#c080ff'],
+
+  // Viewport culling and level of detail
+  DETAIL_MAX_PIXEL_SIZE: 8, // Above this many world units per screen pixel, rooms are drawn coarse
+  VIEW_MARGIN: 0.25, // Extra fraction of the view kept rendered around it
+
+  // Map modes: flattened one-layer map, or in-game three-layer map
+  MAP_MODES: ['flat', 'layered'],
+  LAYER_PATH: '../map-reader/downpour/world',
+  mapMode: 'flat',
+  layersLoaded: false,
+
+  // World variants: vanilla map, Downpour world, or a slugcat campaign's world
+  WORLD_VARIANTS: [
+    { id: 'vanilla', label: 'Vanilla' },
+    { id: 'downpour', label: 'Downpour' },
+    { id: 'artificer', label: 'Artificer' },
+    { id: 'gourmand', label: 'Gourmand' },
+    { id: 'inv', label: 'Inv' },
+    { id: 'rivulet', label: 'Rivulet' },
+    { id: 'saint', label: 'Saint' },
+    { id: 'spear', label: 'Spearmaster' }
+  ],
+  DOWNPOUR_DATA_PATH: '../json/map-data-downpour.json',
+  variant: 'vanilla',
+  variantMaps: [], // Regions with a campaign-specific map file
+  regionNames: {}, // Region code -> English display name (displayname.txt) in the current variant
 
   // Cache for loaded rooms
   roomsCache: {},
+  terrainCache: {}, // Room full name -> terrain data URL (current palette)
+  roomEntries: [], // { name, room, bounds } of every renderable room
+  roomElements: new Map(), // Room full name -> { element, lod } currently in the DOM
+  roomClasses: {}, // Room full name -> Set of classes kept across re-renders
+  svgGroup: null,
+  spatialIndex: null, // SpatialIndex over roomEntries
+  lod: null,
   regionPositions: {},
   allRooms: {}, // Store all loaded room data
   precompiledData: null, // Precompiled map data
@@ -26,9 +118,36 @@ const RoomRenderer = {
 
   /**
    * Initialize the renderer
+   * variant: world variant id (defaults to the one in the settings)
    */
-  async init() {
+  async init(variant = SettingsStore.get('worldVariant')) {
     console.log('Initializing Room Renderer...');
+    this.TILE_TYPES = this.PALETTES[this.paletteName];
+    this.mapMode = SettingsStore.get('mapMode');
+
+    // Follow the settings live (settings page open in another tab...)
+    SettingsStore.onChange('mapMode', mode => this.setMapMode(mode));
+    SettingsStore.onChange('showRoomLabels', () => this.updateLabelVisibility());
+    SettingsStore.onChange('showRegionColors', () => this.applyRoomColors());
+    SettingsStore.onChange('regionColors', () => this.applyRoomColors());
+
+    try {
+      if (!(await this.loadBaseData())) return false;
+
+      if (this.getVariant(variant) && variant !== 'vanilla') {
+        await this.loadVariant(variant);
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize Room Renderer:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the vanilla map (precompiled, or from the room files)
+   */
+  async loadBaseData() {
     try {
       // Try to load precompiled data first
       const precompiled = await this.loadPrecompiledData();
@@ -38,7 +157,13 @@ const RoomRenderer = {
         this.usePrecompiled = true;
         this.precompiledData = precompiled;
         this.regionPositions = precompiled.regionPositions || {};
+        this.regionNames = precompiled.regionNames || {};
         this.allRooms = precompiled.rooms;
+
+        // Precompiled rooms don't store their region, tag them once here
+        for (const [regionCode, rooms] of Object.entries(this.allRooms)) {
+          rooms.forEach(room => { room.regionCode = room.regionCode || regionCode; });
+        }
         console.log(`Precompiled data loaded: ${precompiled.totalRooms} rooms`);
         console.log(`Regions available: ${Object.keys(this.allRooms).join(', ')}`);
         return true;
@@ -53,9 +178,104 @@ const RoomRenderer = {
       await this.loadAllRoomMetadata();
       return true;
     } catch (error) {
-      console.error('Failed to initialize Room Renderer:', error);
+      console.error('Failed to load map data:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Show or hide the room names (showRoomLabels setting)
+   */
+  updateLabelVisibility() {
+    if (this.svgGroup) {
+      this.svgGroup.classList.toggle('hide-room-labels', !SettingsStore.get('showRoomLabels'));
+    }
+  },
+
+  /**
+   * Get a world variant's description, or null if unknown
+   */
+  getVariant(id) {
+    return this.WORLD_VARIANTS.find(variant => variant.id === id) || null;
+  },
+
+  /**
+   * Add the Downpour world on top of the vanilla map and keep the rooms of a variant
+   * Rooms modified by Downpour replace the vanilla ones (same position)
+   */
+  async loadVariant(id) {
+    const response = await fetch(this.DOWNPOUR_DATA_PATH);
+    if (!response.ok) {
+      console.warn(`Downpour data not found, playing on the vanilla map`);
       return false;
     }
+
+    const data = await response.json();
+    const downpour = data.variants.downpour;
+    const variant = data.variants[id] || downpour;
+
+    Object.assign(this.regionPositions, data.regionPositions);
+
+    for (const [regionCode, rooms] of Object.entries(data.rooms)) {
+      const merged = new Map((this.allRooms[regionCode] || []).map(room => [room.fullName.toUpperCase(), room]));
+      for (const room of rooms) {
+        room.regionCode = regionCode;
+        merged.set(room.fullName.toUpperCase(), room);
+      }
+      this.allRooms[regionCode] = [...merged.values()];
+    }
+
+    // Only the rooms listed in the variant's map (or the Downpour map) of each region
+    for (const [regionCode, rooms] of Object.entries(this.allRooms)) {
+      const listed = variant.rooms[regionCode] || downpour.rooms[regionCode];
+      if (!listed) continue;
+
+      const names = new Set(listed);
+      this.allRooms[regionCode] = rooms.filter(room => names.has(room.fullName.toUpperCase()));
+      if (this.allRooms[regionCode].length === 0) {
+        delete this.allRooms[regionCode];
+      }
+    }
+
+    this.variant = id;
+    this.variantMaps = variant.maps || [];
+    this.regionNames = { ...this.regionNames, ...data.regionNames.downpour, ...(data.regionNames[id] || {}) };
+    this.terrainCache = {};
+
+    const total = Object.values(this.allRooms).reduce((sum, rooms) => sum + rooms.length, 0);
+    console.log(`World variant ${id}: ${total} rooms in ${Object.keys(this.allRooms).length} regions`);
+    return true;
+  },
+
+  /**
+   * Display name of a region in the current variant and language (its code if unknown)
+   */
+  getRegionName(regionCode) {
+    const name = this.regionNames[regionCode];
+    if (!name) return regionCode;
+    return typeof I18n !== 'undefined' ? I18n.regionName(name) : name;
+  },
+
+  /**
+   * Colour of a region: from the regionColors setting, REGION_COLORS, or picked from its code
+   */
+  getRegionColor(regionCode) {
+    const custom = SettingsStore.get('regionColors')[regionCode];
+    if (custom) return custom;
+    if (this.REGION_COLORS[regionCode]) return this.REGION_COLORS[regionCode];
+
+    const hash = [...String(regionCode)].reduce((sum, char) => sum * 31 + char.charCodeAt(0), 0);
+    return this.FALLBACK_REGION_COLORS[hash % this.FALLBACK_REGION_COLORS.length];
+  },
+
+  /**
+   * Border colour of a room: its region's, or the palette's when region colours are off
+   */
+  getRoomColor(roomData) {
+    if (SettingsStore.get('showRegionColors')) {
+      return this.getRegionColor(roomData.regionCode);
+    }
+    return (this.TILE_TYPES || this.PALETTES[this.paletteName]).border;
   },
 
   /**
@@ -160,8 +380,10 @@ const RoomRenderer = {
         .map(r => r.trim())
         .filter(r => r && !r.startsWith('cf-')); // Filter out list filenames
 
-      this.allRooms[regionCode] = roomNames;
-      console.log(`Loaded ${roomNames.length} rooms for ${regionCode}`);
+      // Load every room file so the fallback has the same data as the precompiled map
+      const rooms = await Promise.all(roomNames.map(name => this.loadRoomGeometry(regionCode, name)));
+      this.allRooms[regionCode] = rooms.filter(room => room && room.width > 0);
+      console.log(`Loaded ${this.allRooms[regionCode].length} rooms for ${regionCode}`);
     } catch (error) {
       console.warn(`Error loading room list for ${region}:`, error);
       this.allRooms[region.replace('-rooms', '')] = [];
@@ -228,8 +450,8 @@ const RoomRenderer = {
         roomData.fullName = trimmed.replace('Piece :', '').trim();
       }
 
-      // Parse size
-      else if (/^\d+x\d+$/.test(trimmed)) {
+      // Parse size (first "WxH" line only, a positive position looks the same)
+      else if (!roomData.width && /^\d+x\d+$/.test(trimmed)) {
         const [w, h] = trimmed.split('x').map(Number);
         roomData.width = w;
         roomData.height = h;
@@ -243,7 +465,7 @@ const RoomRenderer = {
 
       // Collect tile lines (the ASCII map)
       else if (!geometryStarted && (trimmed.match(/^[.#|+\-=HV\/]/))) {
-        tileLines.push(line);
+        tileLines.push(line.trimEnd());
       }
 
       // Parse geometry connections (lines with parentheses and pipes)
@@ -264,83 +486,228 @@ const RoomRenderer = {
   },
 
   /**
-   * Render room geometry to a canvas image (room outline only)
+   * Switch the tile colour palette, re-rendering the rooms already on the map
+   */
+  setPalette(name, svgGroup) {
+    const palette = this.PALETTES[name];
+    if (!palette) {
+      console.warn(`Unknown palette: ${name}`);
+      return false;
+    }
+
+    this.paletteName = name;
+    this.TILE_TYPES = palette;
+
+    this.terrainCache = {};
+    this.refreshRoomColors(svgGroup);
+    return true;
+  },
+
+  /**
+   * Region colours changed: redraw the rooms already on the map
+   */
+  applyRoomColors() {
+    this.terrainCache = {};
+    this.refreshRoomColors();
+  },
+
+  /**
+   * Update the terrain images and border colours of the rooms on the map
+   */
+  refreshRoomColors(svgGroup) {
+    const group = svgGroup || this.svgGroup;
+    if (!group) return;
+
+    for (const roomGroup of group.querySelectorAll('.room-group')) {
+      const roomData = this.findRoom(roomGroup.getAttribute('data-room'));
+      if (!roomData) continue;
+
+      roomGroup.style.setProperty('--region-color', this.getRoomColor(roomData));
+      const image = roomGroup.querySelector('.room-image');
+      const dataUrl = image && this.getTerrainImage(roomData);
+      if (dataUrl) {
+        image.setAttribute('href', dataUrl);
+      }
+    }
+  },
+
+  /**
+   * Render room geometry (terrain from the tile map, and the room border) to a canvas
    */
   renderRoomToCanvas(roomData) {
     if (!roomData || !roomData.width || !roomData.height) {
       return null;
     }
 
-    const width = roomData.width * this.TILE_SIZE;
-    const height = roomData.height * this.TILE_SIZE;
+    const palette = this.TILE_TYPES || this.PALETTES[this.paletteName];
+    const scale = this.TERRAIN_SCALE;
+    const width = roomData.width * scale;
+    const height = roomData.height * scale;
 
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
     const ctx = canvas.getContext('2d');
 
-    // Transparent background
-    ctx.fillStyle = 'rgba(0, 0, 0, 0)';
-    ctx.fillRect(0, 0, width, height);
+    // Terrain: fill each run of identical tiles at once
+    const tileMap = roomData.tileMap || [];
+    for (let y = 0; y < tileMap.length && y < roomData.height; y++) {
+      const row = tileMap[y];
+      let x = 0;
+      while (x < row.length && x < roomData.width) {
+        const tile = row[x];
+        let end = x + 1;
+        while (end < row.length && end < roomData.width && row[end] === tile) end++;
 
-    // Draw only the room border with thicker line
-    ctx.strokeStyle = '#0f0';
-    ctx.lineWidth = 6;
-    ctx.strokeRect(3, 3, width - 6, height - 6);
+        const colour = palette[tile];
+        if (colour) {
+          ctx.fillStyle = colour;
+          ctx.fillRect(x * scale, y * scale, (end - x) * scale, scale);
+        }
+        x = end;
+      }
+    }
+
+    // Room border
+    ctx.strokeStyle = this.getRoomColor(roomData);
+    ctx.lineWidth = Math.max(1, scale / 2);
+    ctx.strokeRect(ctx.lineWidth / 2, ctx.lineWidth / 2, width - ctx.lineWidth, height - ctx.lineWidth);
 
     return canvas;
   },
 
   /**
-   * Render a single room to SVG as an image element
+   * Get the world-space rectangle covered by a room (in map pixels)
+   * mode: map mode to use, defaults to the current one
    */
-  renderRoomToSVG(roomData, svgGroup) {
-    if (!roomData || !roomData.width || !roomData.height) {
-      console.warn('Invalid room data:', roomData);
-      return null;
-    }
+  getRoomBounds(roomData, mode = this.mapMode) {
+    if (!roomData) return null;
 
-    // Get world position
-    let worldX, worldY;
-    
-    if (this.usePrecompiled && roomData.worldPos) {
-      // Use precompiled world position
-      worldX = roomData.worldPos.x;
-      worldY = roomData.worldPos.y;
+    let x, y;
+    if (mode === 'layered' && roomData.layeredPos) {
+      x = roomData.layeredPos.x * this.TILE_SIZE;
+      y = roomData.layeredPos.y * this.TILE_SIZE;
+    } else if (this.usePrecompiled && roomData.worldPos) {
+      x = roomData.worldPos.x;
+      y = roomData.worldPos.y;
     } else {
-      // Calculate from region position and room position
       const regionPos = this.regionPositions[roomData.regionCode];
-      if (!regionPos) {
-        console.warn(`No position data for region ${roomData.regionCode}`);
-        return null;
-      }
-      worldX = (regionPos.x + roomData.position.x) * this.TILE_SIZE;
-      worldY = (regionPos.y + roomData.position.y) * this.TILE_SIZE;
+      if (!regionPos) return null;
+      x = (regionPos.x + roomData.position.x) * this.TILE_SIZE;
+      y = (regionPos.y + roomData.position.y) * this.TILE_SIZE;
     }
 
-    // Render to canvas
-    const canvas = this.renderRoomToCanvas(roomData);
-    if (!canvas) return null;
+    return {
+      x,
+      y,
+      width: roomData.width * this.TILE_SIZE,
+      height: roomData.height * this.TILE_SIZE
+    };
+  },
+
+  /**
+   * Find a loaded room by its full name (e.g. "CC_A02")
+   */
+  findRoom(fullName) {
+    if (!fullName) return null;
+    const wanted = fullName.toUpperCase();
+    const regionCode = wanted.split('_')[0];
 
-    // Convert canvas to data URL
-    const dataUrl = canvas.toDataURL('image/png');
+    const candidates = this.allRooms[regionCode] || [];
+    for (const room of candidates) {
+      if (room && (room.fullName || '').toUpperCase() === wanted) {
+        return room;
+      }
+    }
+    return null;
+  },
 
-    // Create a group for this room
+  /**
+   * Get the terrain image of a room as a data URL (cached per palette)
+   */
+  getTerrainImage(roomData) {
+    const key = roomData.fullName || roomData.name;
+    if (!this.terrainCache[key]) {
+      const canvas = this.renderRoomToCanvas(roomData);
+      if (!canvas) return null;
+      this.terrainCache[key] = canvas.toDataURL('image/png');
+    }
+    return this.terrainCache[key];
+  },
+
+  /**
+   * Create the <g> of a room with its data attributes
+   */
+  createRoomGroup(roomData, bounds) {
     const roomGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     roomGroup.setAttribute('class', 'room-group');
     roomGroup.setAttribute('data-room', roomData.fullName || roomData.name);
     roomGroup.setAttribute('data-region', roomData.regionCode);
-    roomGroup.setAttribute('data-pos-x', worldX);
-    roomGroup.setAttribute('data-pos-y', worldY);
-    roomGroup.setAttribute('data-width', canvas.width);
-    roomGroup.setAttribute('data-height', canvas.height);
+    roomGroup.setAttribute('data-pos-x', bounds.x);
+    roomGroup.setAttribute('data-pos-y', bounds.y);
+    roomGroup.setAttribute('data-width', bounds.width);
+    roomGroup.setAttribute('data-height', bounds.height);
+    roomGroup.setAttribute('data-layer', roomData.layer || 0);
+    roomGroup.style.setProperty('--region-color', this.getRoomColor(roomData));
+
+    // Focusable from the keyboard (see map-init.js) and named for screen readers
+    roomGroup.setAttribute('tabindex', '-1');
+    roomGroup.setAttribute('role', 'button');
+    roomGroup.setAttribute('aria-label', this.getRoomAriaLabel(roomData));
+    return roomGroup;
+  },
+
+  /**
+   * Accessible name of a room: its name and region
+   */
+  getRoomAriaLabel(roomData) {
+    const room = roomData.fullName || roomData.name;
+    const region = this.getRegionName(roomData.regionCode);
+    return typeof I18n !== 'undefined' ? I18n.t('map.roomAria', { room, region }) : `${room}, ${region}`;
+  },
+
+  /**
+   * Translate the accessible names of the rooms in the DOM again (language change)
+   */
+  updateAriaLabels() {
+    for (const [name, item] of this.roomElements) {
+      const roomData = this.findRoom(name);
+      if (roomData) item.element.setAttribute('aria-label', this.getRoomAriaLabel(roomData));
+    }
+  },
+
+  /**
+   * Render a single room to SVG as an image element (detailed level)
+   */
+  renderRoomToSVG(roomData, svgGroup) {
+    if (!roomData || !roomData.width || !roomData.height) {
+      console.warn('Invalid room data:', roomData);
+      return null;
+    }
+
+    // Get world position
+    const bounds = this.getRoomBounds(roomData);
+    if (!bounds) {
+      console.warn(`No position data for region ${roomData.regionCode}`);
+      return null;
+    }
+    const worldX = bounds.x;
+    const worldY = bounds.y;
+
+    // Terrain image (smaller than the room, the image is stretched)
+    const dataUrl = this.getTerrainImage(roomData);
+    if (!dataUrl) return null;
+
+    // Create a group for this room
+    const roomGroup = this.createRoomGroup(roomData, bounds);
 
     // Create image element
     const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
     image.setAttribute('x', worldX.toString());
     image.setAttribute('y', worldY.toString());
-    image.setAttribute('width', canvas.width.toString());
-    image.setAttribute('height', canvas.height.toString());
+    image.setAttribute('width', bounds.width.toString());
+    image.setAttribute('height', bounds.height.toString());
+    image.setAttribute('preserveAspectRatio', 'none');
     image.setAttribute('href', dataUrl);
     image.setAttribute('class', 'room-image');
     roomGroup.appendChild(image);
@@ -349,16 +716,16 @@ const RoomRenderer = {
     const hitRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
     hitRect.setAttribute('x', worldX.toString());
     hitRect.setAttribute('y', worldY.toString());
-    hitRect.setAttribute('width', canvas.width.toString());
-    hitRect.setAttribute('height', canvas.height.toString());
+    hitRect.setAttribute('width', bounds.width.toString());
+    hitRect.setAttribute('height', bounds.height.toString());
     hitRect.setAttribute('fill', 'transparent');
     hitRect.setAttribute('class', 'room-hit-area');
     roomGroup.appendChild(hitRect);
 
     // Add room label
     const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    label.setAttribute('x', (worldX + canvas.width / 2).toString());
-    label.setAttribute('y', (worldY + canvas.height / 2).toString());
+    label.setAttribute('x', (worldX + bounds.width / 2).toString());
+    label.setAttribute('y', (worldY + bounds.height / 2).toString());
     label.setAttribute('text-anchor', 'middle');
     label.setAttribute('dy', '0.3em');
     label.setAttribute('fill', '#0f0');
@@ -378,96 +745,401 @@ const RoomRenderer = {
   },
 
   /**
-   * Render all rooms for a region (with limited parallelism to avoid blocking)
+   * Render a single room as a plain rectangle (coarse level, used when zoomed out)
+   */
+  renderRoomOutline(roomData, svgGroup) {
+    const bounds = this.getRoomBounds(roomData);
+    if (!bounds) return null;
+
+    const roomGroup = this.createRoomGroup(roomData, bounds);
+    roomGroup.classList.add('coarse');
+
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', bounds.x.toString());
+    rect.setAttribute('y', bounds.y.toString());
+    rect.setAttribute('width', bounds.width.toString());
+    rect.setAttribute('height', bounds.height.toString());
+    rect.setAttribute('class', 'room-hit-area room-outline');
+    rect.setAttribute('vector-effect', 'non-scaling-stroke');
+    roomGroup.appendChild(rect);
+
+    if (svgGroup) {
+      svgGroup.appendChild(roomGroup);
+    }
+    return roomGroup;
+  },
+
+  /**
+   * Register the rooms of a region for rendering
+   * (elements are only created for rooms in view, see updateViewport())
    */
   async renderRegion(regionCode, svgGroup) {
-    console.log(`Rendering region ${regionCode}...`);
-    
-    // Get rooms for this region
     const roomsData = this.allRooms[regionCode] || [];
-    
+
     if (roomsData.length === 0) {
       console.log(`No rooms found for region ${regionCode}`);
       return 0;
     }
 
     let renderedCount = 0;
-    const batchSize = 50; // Render 50 rooms at a time (now that rendering is very fast)
+    for (const roomData of roomsData) {
+      if (!roomData || !(roomData.width > 0) || !(roomData.height > 0)) continue;
 
-    // Process rooms in batches
-    for (let i = 0; i < roomsData.length; i += batchSize) {
-      const batch = roomsData.slice(i, i + batchSize);
-      
-      // Render batch in parallel
-      const renderPromises = batch.map(async (roomData) => {
-        try {
-          if (roomData && roomData.width > 0 && roomData.height > 0) {
-            this.renderRoomToSVG(roomData, svgGroup);
-            return 1;
-          }
-        } catch (error) {
-          console.warn(`Error rendering ${regionCode}/${roomData.name}:`, error);
-        }
-        return 0;
-      });
+      const bounds = this.getRoomBounds(roomData);
+      if (!bounds) continue;
 
-      const results = await Promise.all(renderPromises);
-      renderedCount += results.reduce((sum, val) => sum + val, 0);
-      
-      // Allow UI to update between batches (less frequent now)
-      await new Promise(resolve => setTimeout(resolve, 5));
+      this.roomEntries.push({ name: roomData.fullName || roomData.name, room: roomData, bounds });
+      renderedCount++;
     }
 
-    console.log(`Rendered ${renderedCount} rooms for ${regionCode}`);
+    console.log(`Registered ${renderedCount} rooms for ${regionCode}`);
     return renderedCount;
   },
 
   /**
-   * Render all available regions (with limited parallelism to prevent blocking)
+   * Register all available regions; rooms appear on the next updateViewport()
    */
   async renderAllRegions(svgGroup) {
     console.log('Rendering all regions...');
+    this.clearRoomElements();
+    this.svgGroup = svgGroup;
+    this.svgGroup.setAttribute('data-map-mode', this.mapMode);
+    this.updateLabelVisibility();
+    this.roomEntries = [];
+
+    if (this.mapMode === 'layered') {
+      await this.loadLayerData();
+    }
+
     const regions = Object.keys(this.allRooms);
-    
-    // Render all 11 regions in parallel now that data is lightweight
-    let totalRooms = 0;
+    const counts = await Promise.all(regions.map(region => this.renderRegion(region, svgGroup)));
+    const totalRooms = counts.reduce((sum, count) => sum + count, 0);
 
-    const regionBatch = regions.slice(0, 11); // All regions at once
-    
-    // Render all regions in parallel
-    const renderPromises = regionBatch.map(region => this.renderRegion(region, svgGroup));
-    const counts = await Promise.all(renderPromises);
-    
-    totalRooms += counts.reduce((sum, count) => sum + count, 0);
+    // Built once, answers every point/rectangle/nearest query afterwards
+    this.spatialIndex = SpatialIndex.create(this.roomEntries);
 
-    console.log(`Total rooms rendered: ${totalRooms}`);
+    console.log(`Total rooms registered: ${totalRooms}`);
     return totalRooms;
   },
 
   /**
-   * Get room info by coordinates
+   * Bounds of the whole world (all registered rooms)
+   */
+  getWorldBounds() {
+    return this.getEntriesBounds(this.roomEntries);
+  },
+
+  /**
+   * Bounds of a region's rooms, or null if it has none
+   */
+  getRegionBounds(regionCode) {
+    return this.getEntriesBounds(this.roomEntries.filter(entry => entry.room.regionCode === regionCode));
+  },
+
+  /**
+   * Bounds {minX, minY, maxX, maxY} of registered rooms
+   */
+  getEntriesBounds(entries) {
+    if (entries.length === 0) return null;
+
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    for (const { bounds } of entries) {
+      minX = Math.min(minX, bounds.x);
+      minY = Math.min(minY, bounds.y);
+      maxX = Math.max(maxX, bounds.x + bounds.width);
+      maxY = Math.max(maxY, bounds.y + bounds.height);
+    }
+    return { minX, minY, maxX, maxY };
+  },
+
+  /**
+   * Only keep in the DOM the rooms intersecting the visible rectangle,
+   * at the level of detail matching the zoom
+   * rect: visible world rectangle {x, y, width, height}
+   * pixelSize: world units per screen pixel
    */
-  getRoomAtPoint(x, y, svgGroup) {
-    if (!svgGroup) return null;
+  updateViewport(rect, pixelSize) {
+    if (!this.svgGroup || !rect) return;
+
+    const lod = pixelSize > this.DETAIL_MAX_PIXEL_SIZE ? 'coarse' : 'detail';
+    const marginX = rect.width * this.VIEW_MARGIN;
+    const marginY = rect.height * this.VIEW_MARGIN;
+    const left = rect.x - marginX;
+    const right = rect.x + rect.width + marginX;
+    const top = rect.y - marginY;
+    const bottom = rect.y + rect.height + marginY;
+
+    const visible = new Set();
+    const inView = this.spatialIndex.queryRect({ x: left, y: top, width: right - left, height: bottom - top });
+    for (const entry of inView) {
+      visible.add(entry.name);
+      const current = this.roomElements.get(entry.name);
+      if (current && current.lod === lod) continue;
+
+      if (current) current.element.remove();
+      const layerGroup = this.getLayerGroup(entry.room.layer || 0);
+      const element = lod === 'detail'
+        ? this.renderRoomToSVG(entry.room, layerGroup)
+        : this.renderRoomOutline(entry.room, layerGroup);
+      if (!element) continue;
+
+      for (const className of this.roomClasses[entry.name] || []) {
+        element.classList.add(className);
+      }
+      this.roomElements.set(entry.name, { element, lod });
+    }
+
+    for (const [name, item] of this.roomElements) {
+      if (!visible.has(name)) {
+        item.element.remove();
+        this.roomElements.delete(name);
+      }
+    }
+
+    this.lod = lod;
+    this.svgGroup.setAttribute('data-lod', lod);
+  },
+
+  /**
+   * Get the sub-group of a map layer (deeper layers are drawn first)
+   */
+  getLayerGroup(layer) {
+    let group = this.svgGroup.querySelector(`.layer-group[data-layer="${layer}"]`);
+    if (group) return group;
+
+    group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'layer-group');
+    group.setAttribute('data-layer', layer);
+
+    const deeper = [...this.svgGroup.querySelectorAll('.layer-group')]
+      .find(other => Number(other.getAttribute('data-layer')) < layer);
+    this.svgGroup.insertBefore(group, deeper || null);
+    return group;
+  },
+
+  /**
+   * Path of a region's in-game map file (the campaign's own map when it has one)
+   */
+  getMapFilePath(regionCode) {
+    const code = regionCode.toLowerCase();
+    const suffix = this.variantMaps.includes(regionCode) ? `-${this.variant}` : '';
+    return `${this.LAYER_PATH}/${code}/map_${code}${suffix}.txt`;
+  },
+
+  /**
+   * Load the in-game map files (room layers and positions) of every region
+   */
+  async loadLayerData() {
+    if (this.layersLoaded) return true;
+
+    const regions = Object.keys(this.allRooms);
+    await Promise.all(regions.map(async (regionCode) => {
+      try {
+        const response = await fetch(this.getMapFilePath(regionCode));
+        if (!response.ok) {
+          console.warn(`Could not load map layers for ${regionCode}`);
+          return;
+        }
+        this.computeLayeredPositions(regionCode, this.parseMapFile(await response.text()));
+      } catch (error) {
+        console.warn(`Error loading map layers for ${regionCode}:`, error);
+      }
+    }));
+
+    this.layersLoaded = true;
+    return true;
+  },
+
+  /**
+   * Parse a map_XX.txt file
+   * Line format: "NAME: canonX><canonY><devX><devY><layer><subregion><width><height"
+   * Canon positions are in tiles, measured from the bottom-left (y up)
+   */
+  parseMapFile(fileContent) {
+    const entries = {};
+
+    for (const line of fileContent.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator < 0 || !line.includes('><')) continue;
+
+      const name = line.slice(0, separator).trim().toUpperCase();
+      const parts = line.slice(separator + 1).trim().split('><');
+      entries[name] = {
+        x: parseFloat(parts[0]),
+        y: parseFloat(parts[1]),
+        layer: parseInt(parts[4]) || 0,
+        subregion: parts[5] || ''
+      };
+    }
+
+    return entries;
+  },
+
+  /**
+   * Give each room of a region its in-game map position and layer
+   * The region is aligned on the flat map using its layer 0 rooms (they don't move between modes)
+   */
+  computeLayeredPositions(regionCode, mapEntries) {
+    const regionPos = this.regionPositions[regionCode] || { x: 0, y: 0 };
+    const rooms = this.allRooms[regionCode] || [];
+    const offsetsX = [];
+    const offsetsY = [];
 
-    const rooms = svgGroup.querySelectorAll('.room-group');
     for (const room of rooms) {
-      const roomX = parseInt(room.getAttribute('data-pos-x'));
-      const roomY = parseInt(room.getAttribute('data-pos-y'));
-      const roomW = parseInt(room.getAttribute('data-width'));
-      const roomH = parseInt(room.getAttribute('data-height'));
-      
-      if (x >= roomX && y >= roomY && x < roomX + roomW && y < roomY + roomH) {
-        return {
-          name: room.getAttribute('data-room'),
-          region: room.getAttribute('data-region'),
-          x: roomX,
-          y: roomY,
-          svgElement: room
-        };
+      const entry = mapEntries[(room.fullName || '').toUpperCase()];
+      if (entry && entry.layer === 0) {
+        offsetsX.push(room.position.x - entry.x);
+        offsetsY.push(room.position.y + entry.y + room.height);
       }
     }
-    return null;
+
+    const median = (values) => {
+      if (values.length === 0) return 0;
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length / 2)];
+    };
+    const offsetX = median(offsetsX);
+    const offsetY = median(offsetsY);
+
+    for (const room of rooms) {
+      const entry = mapEntries[(room.fullName || '').toUpperCase()];
+      if (!entry) continue;
+
+      room.layer = entry.layer;
+      room.layeredPos = {
+        x: regionPos.x + entry.x + offsetX,
+        y: regionPos.y - (entry.y + room.height) + offsetY
+      };
+    }
+  },
+
+  /**
+   * Switch between the flat and layered map without reloading
+   * Room identities don't change, only their positions
+   */
+  async setMapMode(mode) {
+    if (!this.MAP_MODES.includes(mode)) {
+      console.warn(`Unknown map mode: ${mode}`);
+      return false;
+    }
+    if (mode === this.mapMode) return true;
+
+    if (mode === 'layered') {
+      await this.loadLayerData();
+    }
+
+    this.mapMode = mode;
+    SettingsStore.set('mapMode', mode);
+
+    if (this.svgGroup) {
+      this.svgGroup.setAttribute('data-map-mode', mode);
+      await this.renderAllRegions(this.svgGroup);
+    }
+
+    window.dispatchEvent(new CustomEvent('mapmodechange', { detail: { mode } }));
+    return true;
+  },
+
+  /**
+   * Convert a point from tiles (relative to a room's top-left corner) to world coordinates
+   * mode: map mode to use, defaults to the current one
+   */
+  localToWorld(roomData, local, mode = this.mapMode) {
+    const bounds = this.getRoomBounds(roomData, mode);
+    if (!bounds || !local) return null;
+    return { x: bounds.x + local.x * this.TILE_SIZE, y: bounds.y + local.y * this.TILE_SIZE };
+  },
+
+  /**
+   * Convert a world point to tiles from a room's top-left corner
+   * mode: map mode the point comes from, defaults to the current one
+   */
+  worldToLocal(roomData, point, mode = this.mapMode) {
+    const bounds = this.getRoomBounds(roomData, mode);
+    if (!bounds || !point) return null;
+    return { x: (point.x - bounds.x) / this.TILE_SIZE, y: (point.y - bounds.y) / this.TILE_SIZE };
+  },
+
+  /**
+   * Remove every room element from the DOM
+   */
+  clearRoomElements() {
+    for (const item of this.roomElements.values()) {
+      item.element.remove();
+    }
+    this.roomElements.clear();
+  },
+
+  /**
+   * Get the SVG element of a room if it is currently in the DOM
+   */
+  getRoomElement(name) {
+    const item = this.roomElements.get(name);
+    return item ? item.element : null;
+  },
+
+  /**
+   * Add or remove a class on a room, kept when the room element is re-created
+   */
+  setRoomClass(name, className, enabled) {
+    if (!name) return;
+
+    const classes = this.roomClasses[name] || (this.roomClasses[name] = new Set());
+    if (enabled) {
+      classes.add(className);
+    } else {
+      classes.delete(className);
+    }
+
+    const element = this.getRoomElement(name);
+    if (element) {
+      element.classList.toggle(className, enabled);
+    }
+  },
+
+  /**
+   * Room info returned by the point queries
+   */
+  toRoomInfo(entry) {
+    return {
+      name: entry.name,
+      region: entry.room.regionCode,
+      x: entry.bounds.x,
+      y: entry.bounds.y,
+      svgElement: this.getRoomElement(entry.name)
+    };
+  },
+
+  /**
+   * Get room info by coordinates
+   * Where rooms overlap (three-layer map), the one drawn on top: the lowest layer
+   */
+  getRoomAtPoint(x, y) {
+    if (!this.spatialIndex) return null;
+
+    const entry = this.spatialIndex.queryPoint(x, y).reduce((top, hit) =>
+      !top || (hit.room.layer || 0) < (top.room.layer || 0) ? hit : top, null);
+    return entry ? this.toRoomInfo(entry) : null;
+  },
+
+  /**
+   * Get the rooms intersecting a world rectangle {x, y, width, height}
+   */
+  getRoomsInRect(rect) {
+    if (!this.spatialIndex) return [];
+    return this.spatialIndex.queryRect(rect).map(entry => this.toRoomInfo(entry));
+  },
+
+  /**
+   * Get the room closest to a point (distance 0 when inside a room)
+   * Returns room info with a `distance` field, or null
+   */
+  getNearestRoom(x, y, maxDistance) {
+    if (!this.spatialIndex) return null;
+
+    const result = this.spatialIndex.nearest(x, y, maxDistance);
+    return result ? { ...this.toRoomInfo(result.item), distance: result.distance } : null;
   }
 };
 
@@ -0,0 +1,93 @@
+/**
+ * Room Search for Rain-Guessr
+ * Fuzzy search of the loaded rooms by full name, and of the regions by code
+ * and display name (displayname.txt, in English and in the current language)
+ */
+
+const RoomSearch = {
+  MAX_RESULTS: 20,
+
+  // Match quality, best first (fuzzy matches score between 0 and SCORES.fuzzy)
+  SCORES: {
+    exact: 4,
+    prefix: 3,
+    substring: 2,
+    fuzzy: 1
+  },
+
+  /**
+   * Text as compared: upper case, no accents, no spaces, underscores or dashes
+   * (so "cc a06" finds CC_A06 and "foret" finds Forêt)
+   */
+  normalize(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\s_-]+/g, '')
+      .toUpperCase();
+  },
+
+  /**
+   * How well a text matches a normalized query (0 = no match)
+   * The query's characters must appear in order; the fewer the gaps, the better
+   */
+  matchScore(text, query) {
+    const haystack = this.normalize(text);
+    if (!query || !haystack) return 0;
+
+    if (haystack === query) return this.SCORES.exact;
+    if (haystack.startsWith(query)) return this.SCORES.prefix;
+    if (haystack.includes(query)) return this.SCORES.substring;
+
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+      const next = haystack.indexOf(char, position + 1);
+      if (next === -1) return 0;
+      if (position !== -1) gaps += next - position - 1;
+      position = next;
+    }
+    return this.SCORES.fuzzy / (1 + gaps / query.length);
+  },
+
+  /**
+   * Rooms and regions matching a query, best first
+   * Results: { type: 'region', regionCode, regionName, roomCount }
+   *       or { type: 'room', name, regionCode, regionName }
+   */
+  search(query, limit = this.MAX_RESULTS) {
+    const wanted = this.normalize(query);
+    if (!wanted) return [];
+
+    const results = [];
+    for (const [regionCode, rooms] of Object.entries(RoomRenderer.allRooms)) {
+      const regionName = RoomRenderer.getRegionName(regionCode);
+      const regionScore = Math.max(
+        this.matchScore(regionCode, wanted),
+        this.matchScore(regionName, wanted),
+        this.matchScore(RoomRenderer.regionNames[regionCode] || '', wanted)
+      );
+      if (regionScore > 0) {
+        results.push({ type: 'region', regionCode, regionName, roomCount: rooms.length, score: regionScore });
+      }
+
+      for (const room of rooms) {
+        const score = room && room.fullName ? this.matchScore(room.fullName, wanted) : 0;
+        if (score > 0) {
+          results.push({ type: 'room', name: room.fullName, regionCode, regionName, score });
+        }
+      }
+    }
+
+    // Regions before rooms on equal matches, then alphabetical
+    results.sort((a, b) => b.score - a.score
+      || (a.type === b.type ? 0 : a.type === 'region' ? -1 : 1)
+      || (a.name || a.regionCode).localeCompare(b.name || b.regionCode));
+    return results.slice(0, limit);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoomSearch;
+}
@@ -0,0 +1,154 @@
+/**
+ * Scoring module for Rain-Guessr
+ * Turns a guess into points for region, room, distance, in-room distance and time
+ */
+
+const Scoring = {
+  // Curve parameters per difficulty
+  // Distances are in map pixels (see RoomRenderer.TILE_SIZE), times in seconds
+  DIFFICULTIES: {
+    easy: {
+      region: { max: 1000 },
+      room: { max: 2000 },
+      distance: { max: 1500, falloff: 20000 },
+      inRoom: { max: 1000, falloff: 0.6 }, // Fraction of the room diagonal
+      time: { max: 500, grace: 20, halfLife: 90 }
+    },
+    normal: {
+      region: { max: 1000 },
+      room: { max: 2000 },
+      distance: { max: 1500, falloff: 10000 },
+      inRoom: { max: 1000, falloff: 0.35 },
+      time: { max: 500, grace: 10, halfLife: 45 }
+    },
+    hard: {
+      region: { max: 750 },
+      room: { max: 2000 },
+      distance: { max: 1500, falloff: 5000 },
+      inRoom: { max: 1250, falloff: 0.2 },
+      time: { max: 500, grace: 5, halfLife: 20 }
+    }
+  },
+
+  DEFAULT_DIFFICULTY: 'normal',
+
+  /**
+   * Register (or override) the curve parameters of a difficulty
+   * Missing components are taken from the default difficulty
+   */
+  registerDifficulty(name, params) {
+    const base = this.DIFFICULTIES[this.DEFAULT_DIFFICULTY];
+    const merged = {};
+    for (const component of Object.keys(base)) {
+      merged[component] = { ...base[component], ...(params[component] || {}) };
+    }
+    this.DIFFICULTIES[name] = merged;
+    return merged;
+  },
+
+  /**
+   * Resolve a difficulty name or parameter object to curve parameters
+   */
+  getParams(difficulty) {
+    if (difficulty && typeof difficulty === 'object') {
+      return difficulty;
+    }
+    const params = this.DIFFICULTIES[difficulty || this.DEFAULT_DIFFICULTY];
+    if (!params) {
+      console.warn(`Unknown difficulty "${difficulty}", using ${this.DEFAULT_DIFFICULTY}`);
+      return this.DIFFICULTIES[this.DEFAULT_DIFFICULTY];
+    }
+    return params;
+  },
+
+  /**
+   * Maximum reachable score for a difficulty
+   */
+  getMaxScore(difficulty) {
+    const params = this.getParams(difficulty);
+    return Object.values(params).reduce((sum, component) => sum + component.max, 0);
+  },
+
+  /**
+   * Score a guess
+   * guessPoint:  {x, y} world point the player placed (null if no guess)
+   * guessRoom:   room data the guess landed in (null if in empty space)
+   * answerRoom:  room data the hint comes from (needs worldPos/width/height)
+   * hintPoint:   {x, y} world point of the hint inside the answer room
+   * elapsed:     seconds taken to answer
+   */
+  score({ guessPoint, guessRoom, answerRoom, hintPoint, elapsed }, difficulty) {
+    const params = this.getParams(difficulty);
+    const breakdown = { region: 0, room: 0, distance: 0, inRoom: 0, time: 0 };
+
+    if (!guessPoint || !answerRoom || !hintPoint) {
+      return { total: 0, breakdown, distance: null, regionCorrect: false, roomCorrect: false };
+    }
+
+    const distance = this.getDistance(guessPoint, hintPoint);
+    const regionCorrect = !!guessRoom && guessRoom.regionCode === answerRoom.regionCode;
+    const roomCorrect = regionCorrect && guessRoom.fullName === answerRoom.fullName;
+
+    if (regionCorrect) breakdown.region = params.region.max;
+    if (roomCorrect) breakdown.room = params.room.max;
+
+    breakdown.distance = this.decay(distance, params.distance.falloff) * params.distance.max;
+
+    if (roomCorrect) {
+      const diagonal = this.getRoomDiagonal(answerRoom);
+      breakdown.inRoom = this.decay(distance, diagonal * params.inRoom.falloff) * params.inRoom.max;
+    }
+
+    // Time bonus only rewards fast *and* accurate answers
+    const accuracyMax = params.region.max + params.room.max + params.distance.max + params.inRoom.max;
+    const accuracy = (breakdown.region + breakdown.room + breakdown.distance + breakdown.inRoom) / accuracyMax;
+    breakdown.time = this.getTimeFactor(elapsed, params.time) * params.time.max * accuracy;
+
+    for (const component of Object.keys(breakdown)) {
+      breakdown[component] = Math.round(breakdown[component]);
+    }
+
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return { total, breakdown, distance, regionCorrect, roomCorrect };
+  },
+
+  /**
+   * Exponential decay: 1 at distance 0, 1/e at distance == falloff
+   */
+  decay(value, falloff) {
+    if (falloff <= 0) return value === 0 ? 1 : 0;
+    return Math.exp(-value / falloff);
+  },
+
+  /**
+   * Time factor: 1 during the grace period, then halves every halfLife seconds
+   */
+  getTimeFactor(elapsed, timeParams) {
+    const overtime = Math.max(0, (elapsed || 0) - timeParams.grace);
+    return Math.pow(0.5, overtime / timeParams.halfLife);
+  },
+
+  /**
+   * Euclidean distance between two world points
+   */
+  getDistance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  },
+
+  /**
+   * Diagonal of a room in map pixels
+   */
+  getRoomDiagonal(room) {
+    const tileSize = (typeof RoomRenderer !== 'undefined') ? RoomRenderer.TILE_SIZE : 15;
+    const width = room.width * tileSize;
+    const height = room.height * tileSize;
+    return Math.sqrt(width * width + height * height);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scoring;
+}
@@ -0,0 +1,92 @@
+/**
+ * Screenshot Catalog for Rain-Guessr
+ * Loads json/screenshot-catalog.json (built by precompile-catalog.py)
+ * so game modes can query pictures by region, room, camera or tag
+ */
+
+const ScreenshotCatalog = {
+  CATALOG_PATH: '../json/screenshot-catalog.json',
+  PICTURE_PATH: '../map-reader/pic',
+
+  pictures: [], // Catalog entries, see precompile-catalog.py
+  screenWidth: 1400,
+  screenHeight: 800,
+  loaded: false,
+
+  /**
+   * Load the catalog
+   */
+  async load() {
+    if (this.loaded) return true;
+
+    try {
+      const response = await fetch(this.CATALOG_PATH);
+      if (!response.ok) throw new Error(`Failed to load catalog, status: ${response.status}`);
+
+      const data = await response.json();
+      this.screenWidth = data.screenWidth || this.screenWidth;
+      this.screenHeight = data.screenHeight || this.screenHeight;
+      this.pictures = (data.pictures || []).map(entry => ({
+        ...entry,
+        url: `${this.PICTURE_PATH}/${entry.path}`,
+        tags: entry.tags || []
+      }));
+      this.loaded = true;
+
+      const missing = this.getMissingRooms();
+      if (missing.length > 0) {
+        console.warn(`Screenshots of rooms missing from the map: ${missing.join(', ')}`);
+      }
+      console.log(`Screenshot catalog loaded: ${this.pictures.length} pictures`);
+      return true;
+    } catch (error) {
+      console.error('Error loading screenshot catalog:', error);
+      this.pictures = [];
+      return false;
+    }
+  },
+
+  /**
+   * Find pictures matching a filter
+   * filter: { region, regions (any of), room, camera, tags (all required), excludeTags, inMap, hasCamera }
+   */
+  query(filter = {}) {
+    return this.pictures.filter(picture => {
+      if (filter.region && picture.region !== filter.region.toUpperCase()) return false;
+      if (filter.regions && !filter.regions.some(region => picture.region === region.toUpperCase())) return false;
+      if (filter.room && picture.room !== filter.room.toUpperCase()) return false;
+      if (filter.camera !== undefined && picture.camera.index !== filter.camera) return false;
+      if (filter.inMap !== undefined && picture.inMap !== filter.inMap) return false;
+      if (filter.hasCamera && picture.camera.x === undefined) return false;
+      if (filter.tags && !filter.tags.every(tag => picture.tags.includes(tag))) return false;
+      if (filter.excludeTags && filter.excludeTags.some(tag => picture.tags.includes(tag))) return false;
+      return true;
+    });
+  },
+
+  /**
+   * Get a picture by file name (e.g. "cc_b01_2.png")
+   */
+  getByFile(file) {
+    return this.pictures.find(picture => picture.file === file) || null;
+  },
+
+  /**
+   * Every tag used in the catalog
+   */
+  getTags() {
+    return [...new Set(this.pictures.flatMap(picture => picture.tags))].sort();
+  },
+
+  /**
+   * Rooms that have screenshots but are missing from json/map-data.json
+   */
+  getMissingRooms() {
+    return [...new Set(this.pictures.filter(p => !p.inMap).map(p => p.room))];
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScreenshotCatalog;
+}
@@ -0,0 +1,161 @@
+/**
+ * Settings Page Script
+ * Binds the settings controls to the SettingsStore
+ */
+
+// Key binding actions shown on the page (labels are the action.<name> translations)
+const KEY_BINDING_ACTIONS = [
+    'confirm', 'nextRound', 'toggleConnections', 'toggleMapMode', 'resetView', 'zoomIn', 'zoomOut',
+    'panUp', 'panDown', 'panLeft', 'panRight', 'focusRoom', 'selectRoom'
+];
+
+let listeningAction = null; // Action waiting for a key press
+
+window.addEventListener('DOMContentLoaded', () => {
+    fillDifficultyOptions();
+
+    bindSelect('map-mode', 'mapMode');
+    bindSelect('language', 'language');
+    bindSelect('difficulty', 'difficulty');
+    bindCheckbox('show-connections', 'showConnections');
+    bindCheckbox('show-room-labels', 'showRoomLabels');
+    bindCheckbox('show-region-colors', 'showRegionColors');
+    bindCheckbox('show-region-labels', 'showRegionLabels');
+    bindZoomSensitivity();
+    bindText('leaderboard-url', 'leaderboardUrl');
+    renderKeyBindings();
+    SettingsStore.onChange('keyBindings', renderKeyBindings);
+    window.addEventListener('languagechange', renderKeyBindings);
+
+    document.addEventListener('keydown', onBindingKey);
+
+    const resetBtn = document.getElementById('reset-settings');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => SettingsStore.reset());
+    }
+});
+
+/**
+ * Difficulty choices come from the scoring presets
+ */
+function fillDifficultyOptions() {
+    const select = document.getElementById('difficulty');
+    if (!select || typeof Scoring === 'undefined') return;
+
+    for (const name of Object.keys(Scoring.DIFFICULTIES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        I18n.bind(option, `difficulty.${name}`);
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Keep a <select> and a setting in sync
+ */
+function bindSelect(id, key) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    select.value = SettingsStore.get(key);
+    select.addEventListener('change', () => SettingsStore.set(key, select.value));
+    SettingsStore.onChange(key, value => { select.value = value; });
+}
+
+/**
+ * Keep a checkbox and a boolean setting in sync
+ */
+function bindCheckbox(id, key) {
+    const checkbox = document.getElementById(id);
+    if (!checkbox) return;
+
+    checkbox.checked = SettingsStore.get(key);
+    checkbox.addEventListener('change', () => SettingsStore.set(key, checkbox.checked));
+    SettingsStore.onChange(key, value => { checkbox.checked = value; });
+}
+
+/**
+ * Keep a text field and a string setting in sync (saved when the field is left)
+ */
+function bindText(id, key) {
+    const input = document.getElementById(id);
+    if (!input) return;
+
+    input.value = SettingsStore.get(key);
+    input.addEventListener('change', () => SettingsStore.set(key, input.value.trim()));
+    SettingsStore.onChange(key, value => { input.value = value; });
+}
+
+/**
+ * Zoom sensitivity slider and its value
+ */
+function bindZoomSensitivity() {
+    const slider = document.getElementById('zoom-sensitivity');
+    const output = document.getElementById('zoom-sensitivity-value');
+    if (!slider) return;
+
+    const show = (value) => {
+        slider.value = value;
+        if (output) output.textContent = `x${value}`;
+    };
+
+    show(SettingsStore.get('zoomSensitivity'));
+    slider.addEventListener('input', () => SettingsStore.set('zoomSensitivity', Number(slider.value)));
+    SettingsStore.onChange('zoomSensitivity', show);
+}
+
+/**
+ * Readable name of a key (or of several keys)
+ */
+function formatKey(key) {
+    if (Array.isArray(key)) return key.map(formatKey).join(' / ');
+    if (key === ' ') return I18n.t('key.space');
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * One row per action: click the button, then press the new key
+ */
+function renderKeyBindings() {
+    const container = document.getElementById('key-bindings');
+    if (!container) return;
+
+    const bindings = SettingsStore.get('keyBindings');
+    container.replaceChildren();
+
+    for (const action of KEY_BINDING_ACTIONS) {
+        const row = document.createElement('label');
+        const label = document.createElement('span');
+        I18n.bind(label, `action.${action}`);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'key-binding';
+        if (action === listeningAction) {
+            I18n.bind(button, 'settings.pressKey');
+        } else {
+            button.textContent = formatKey(bindings[action] || '');
+        }
+        button.addEventListener('click', () => {
+            listeningAction = action;
+            renderKeyBindings();
+        });
+
+        row.append(label, ' ', button);
+        container.appendChild(row);
+    }
+}
+
+/**
+ * Record the key pressed for the action being rebound (Escape cancels)
+ */
+function onBindingKey(e) {
+    if (!listeningAction) return;
+
+    e.preventDefault();
+    if (e.key !== 'Escape') {
+        SettingsStore.setKeyBinding(listeningAction, e.key);
+    }
+    listeningAction = null;
+    renderKeyBindings();
+}
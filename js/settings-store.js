@@ -0,0 +1,259 @@
+/**
+ * Settings Store for Rain-Guessr
+ * Versioned settings saved in localStorage, with defaults, validation,
+ * migration from older versions and change listeners (also across tabs)
+ */
+
+const SettingsStore = {
+  STORAGE_KEY: 'rainGuessr.settings',
+  VERSION: 1,
+
+  // Every setting with its default value and what it accepts
+  DEFINITIONS: {
+    mapMode: { default: 'flat', options: ['flat', 'layered'] },
+    language: { default: 'en', options: ['en', 'fr'] },
+    difficulty: { default: 'normal', type: 'string' }, // See Scoring.DIFFICULTIES
+    worldVariant: { default: 'vanilla', type: 'string' }, // See RoomRenderer.WORLD_VARIANTS
+    showConnections: { default: false, type: 'boolean' },
+    showRoomLabels: { default: true, type: 'boolean' },
+    showRegionColors: { default: true, type: 'boolean' }, // Else rooms use the palette's border colour
+    showRegionLabels: { default: true, type: 'boolean' },
+    regionColors: { default: {}, type: 'object' }, // Region code -> colour, see RoomRenderer.REGION_COLORS
+    zoomSensitivity: { default: 1, type: 'number', min: 0.25, max: 3 },
+    leaderboardUrl: { default: '', type: 'string' }, // Leaderboard server, empty = scores stay local
+    keyBindings: {
+      default: {
+        confirm: 'Enter',
+        nextRound: 'Enter',
+        toggleConnections: 'c',
+        toggleMapMode: 'm',
+        resetView: 'r',
+        zoomIn: '+',
+        zoomOut: '-',
+        panUp: ['ArrowUp', 'w'],
+        panDown: ['ArrowDown', 's'],
+        panLeft: ['ArrowLeft', 'a'],
+        panRight: ['ArrowRight', 'd'],
+        focusRoom: 'Tab', // Shift goes back
+        selectRoom: ['Enter', ' ']
+      },
+      type: 'object'
+    }
+  },
+
+  // MIGRATIONS[n] turns version n settings into version n + 1
+  MIGRATIONS: {
+    // Version 0: one localStorage key per setting
+    0(settings) {
+      const legacy = {
+        showConnections: ['rainGuessr.showConnections', value => value === 'true'],
+        mapMode: ['rainGuessr.mapMode', value => value],
+        worldVariant: ['rainGuessr.worldVariant', value => value]
+      };
+
+      for (const [key, [storageKey, parse]] of Object.entries(legacy)) {
+        const value = localStorage.getItem(storageKey);
+        if (value !== null) {
+          settings[key] = parse(value);
+          localStorage.removeItem(storageKey);
+        }
+      }
+      return settings;
+    }
+  },
+
+  values: null,
+  listeners: {}, // Setting key (or '*') -> callbacks
+
+  /**
+   * Load the saved settings (migrating them if needed)
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+    } catch (error) {
+      console.warn('Saved settings are corrupted, using defaults:', error);
+    }
+
+    let version = saved && Number.isInteger(saved.version) ? saved.version : 0;
+    let settings = saved && saved.settings ? saved.settings : {};
+
+    const migrated = version < this.VERSION;
+    while (version < this.VERSION) {
+      settings = this.MIGRATIONS[version](settings);
+      version++;
+    }
+
+    // Keep valid values only, defaults for the rest
+    this.values = {};
+    for (const [key, definition] of Object.entries(this.DEFINITIONS)) {
+      this.values[key] = this.isValid(key, settings[key]) ? settings[key] : this.copy(definition.default);
+    }
+    if (this.values.keyBindings) {
+      this.values.keyBindings = { ...this.DEFINITIONS.keyBindings.default, ...this.values.keyBindings };
+    }
+
+    if (migrated) {
+      this.save();
+    }
+    return this.values;
+  },
+
+  /**
+   * Write the settings to localStorage
+   */
+  save() {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+      version: this.VERSION,
+      settings: this.values
+    }));
+  },
+
+  /**
+   * Whether a value is accepted for a setting
+   */
+  isValid(key, value) {
+    const definition = this.DEFINITIONS[key];
+    if (!definition || value === undefined || value === null) return false;
+
+    if (definition.options) {
+      return definition.options.includes(value);
+    }
+    if (definition.type === 'object') {
+      return typeof value === 'object' && !Array.isArray(value);
+    }
+    if (typeof value !== definition.type) return false;
+    if (definition.type === 'number') {
+      return Number.isFinite(value) && value >= definition.min && value <= definition.max;
+    }
+    return true;
+  },
+
+  /**
+   * Copy a value so callers can't change the store by mistake
+   */
+  copy(value) {
+    return value && typeof value === 'object' ? { ...value } : value;
+  },
+
+  /**
+   * Get a setting
+   */
+  get(key) {
+    if (!this.values) this.load();
+    return this.copy(this.values[key]);
+  },
+
+  /**
+   * Get every setting
+   */
+  getAll() {
+    if (!this.values) this.load();
+    return Object.fromEntries(Object.keys(this.values).map(key => [key, this.get(key)]));
+  },
+
+  /**
+   * Change a setting; returns false if the value isn't accepted
+   */
+  set(key, value) {
+    if (!this.values) this.load();
+    if (!this.isValid(key, value)) {
+      console.warn(`Invalid value for setting ${key}:`, value);
+      return false;
+    }
+    if (JSON.stringify(this.values[key]) === JSON.stringify(value)) return true;
+
+    this.values[key] = this.copy(value);
+    this.save();
+    this.notify(key);
+    return true;
+  },
+
+  /**
+   * Put a setting (or every setting) back to its default value
+   */
+  reset(key) {
+    const keys = key ? [key] : Object.keys(this.DEFINITIONS);
+    for (const name of keys) {
+      this.set(name, this.copy(this.DEFINITIONS[name].default));
+    }
+  },
+
+  /**
+   * Call `callback(value, key)` when a setting changes ('*' for any setting)
+   * Returns a function removing the listener
+   */
+  onChange(key, callback) {
+    if (!this.listeners[key]) this.listeners[key] = [];
+    this.listeners[key].push(callback);
+    return () => {
+      this.listeners[key] = this.listeners[key].filter(cb => cb !== callback);
+    };
+  },
+
+  /**
+   * Notify the listeners of a setting
+   */
+  notify(key) {
+    const value = this.get(key);
+    for (const callback of [...(this.listeners[key] || []), ...(this.listeners['*'] || [])]) {
+      callback(value, key);
+    }
+  },
+
+  /**
+   * Key bound to an action (an array when several keys trigger it)
+   */
+  getKeyBinding(action) {
+    return this.get('keyBindings')[action] || null;
+  },
+
+  /**
+   * Keys bound to an action, as an array
+   */
+  getKeys(action) {
+    return [].concat(this.getKeyBinding(action) || []);
+  },
+
+  /**
+   * Bind a key (or an array of keys) to an action
+   */
+  setKeyBinding(action, key) {
+    return this.set('keyBindings', { ...this.get('keyBindings'), [action]: key });
+  },
+
+  /**
+   * Whether a keyboard event triggers an action (ignored while typing in a field)
+   */
+  matchesKey(action, event) {
+    const target = event.target;
+    if (target && target.closest && target.closest('input, select, textarea')) return false;
+
+    return this.getKeys(action).some(key => event.key.toLowerCase() === key.toLowerCase());
+  },
+
+  /**
+   * Settings changed in another tab: reload them and notify what changed
+   */
+  handleStorageEvent(event) {
+    if (event.key !== this.STORAGE_KEY || !this.values) return;
+
+    const previous = this.values;
+    this.load();
+    for (const key of Object.keys(this.values)) {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(this.values[key])) {
+        this.notify(key);
+      }
+    }
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => SettingsStore.handleStorageEvent(event));
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsStore;
+}
@@ -0,0 +1,127 @@
+/**
+ * Spatial Index for Rain-Guessr
+ * Uniform grid over rectangles (room bounds) for fast point, rectangle
+ * and nearest-item queries
+ */
+
+const SpatialIndex = {
+  DEFAULT_CELL_SIZE: 2000, // World units per grid cell
+
+  /**
+   * Build an index
+   * items: array of objects with a `bounds` {x, y, width, height}
+   */
+  create(items, cellSize = this.DEFAULT_CELL_SIZE) {
+    const cells = new Map();
+    let minCellX = Infinity, maxCellX = -Infinity;
+    let minCellY = Infinity, maxCellY = -Infinity;
+
+    const cellKey = (cx, cy) => `${cx},${cy}`;
+    const toCell = (value) => Math.floor(value / cellSize);
+
+    for (const item of items) {
+      const b = item.bounds;
+      const x0 = toCell(b.x), x1 = toCell(b.x + b.width);
+      const y0 = toCell(b.y), y1 = toCell(b.y + b.height);
+
+      for (let cx = x0; cx <= x1; cx++) {
+        for (let cy = y0; cy <= y1; cy++) {
+          const key = cellKey(cx, cy);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(item);
+        }
+      }
+
+      minCellX = Math.min(minCellX, x0);
+      maxCellX = Math.max(maxCellX, x1);
+      minCellY = Math.min(minCellY, y0);
+      maxCellY = Math.max(maxCellY, y1);
+    }
+
+    // Distance from a point to a rectangle (0 inside)
+    const distanceTo = (x, y, b) => {
+      const dx = Math.max(b.x - x, 0, x - (b.x + b.width));
+      const dy = Math.max(b.y - y, 0, y - (b.y + b.height));
+      return Math.sqrt(dx * dx + dy * dy);
+    };
+
+    return {
+      cellSize,
+      size: items.length,
+
+      /**
+       * Items containing a point
+       */
+      queryPoint(x, y) {
+        const candidates = cells.get(cellKey(toCell(x), toCell(y))) || [];
+        return candidates.filter(({ bounds: b }) =>
+          x >= b.x && y >= b.y && x < b.x + b.width && y < b.y + b.height
+        );
+      },
+
+      /**
+       * Items intersecting a rectangle
+       */
+      queryRect(rect) {
+        const found = new Set();
+        const x0 = Math.max(toCell(rect.x), minCellX), x1 = Math.min(toCell(rect.x + rect.width), maxCellX);
+        const y0 = Math.max(toCell(rect.y), minCellY), y1 = Math.min(toCell(rect.y + rect.height), maxCellY);
+
+        for (let cx = x0; cx <= x1; cx++) {
+          for (let cy = y0; cy <= y1; cy++) {
+            for (const item of cells.get(cellKey(cx, cy)) || []) {
+              const b = item.bounds;
+              if (b.x <= rect.x + rect.width && b.x + b.width >= rect.x &&
+                  b.y <= rect.y + rect.height && b.y + b.height >= rect.y) {
+                found.add(item);
+              }
+            }
+          }
+        }
+        return [...found];
+      },
+
+      /**
+       * Nearest item to a point: { item, distance } or null if the index is empty
+       * Searches rings of cells around the point until no closer item can exist
+       */
+      nearest(x, y, maxDistance = Infinity) {
+        if (items.length === 0) return null;
+
+        const cx = toCell(x), cy = toCell(y);
+        const maxRing = Math.max(
+          Math.abs(cx - minCellX), Math.abs(cx - maxCellX),
+          Math.abs(cy - minCellY), Math.abs(cy - maxCellY)
+        );
+        let best = null;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+          // Every item not yet visited is at least (ring - 1) cells away
+          if (best && best.distance < (ring - 1) * cellSize) break;
+          if ((ring - 1) * cellSize > maxDistance) break;
+
+          for (let gx = cx - ring; gx <= cx + ring; gx++) {
+            for (let gy = cy - ring; gy <= cy + ring; gy++) {
+              // Only the border of the ring
+              if (Math.abs(gx - cx) !== ring && Math.abs(gy - cy) !== ring) continue;
+
+              for (const item of cells.get(cellKey(gx, gy)) || []) {
+                const distance = distanceTo(x, y, item.bounds);
+                if (distance <= maxDistance && (!best || distance < best.distance)) {
+                  best = { item, distance };
+                }
+              }
+            }
+          }
+        }
+
+        return best;
+      }
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpatialIndex;
+}
@@ -0,0 +1,178 @@
+/**
+ * Picture Tagging Page Script
+ * Local tool to tag the screenshots (e.g. "graffiti" for the art-amator mode)
+ * Edits are kept in localStorage until downloaded as map-reader/pic/tags.json
+ */
+
+const TAGS_FILE_PATH = '../map-reader/pic/tags.json';
+const TAGS_STORAGE_KEY = 'rainGuessr.pictureTags';
+
+let pictureTags = {}; // File -> { tags: [...], focus: {x, y} } (screen pixels)
+
+window.addEventListener('DOMContentLoaded', async () => {
+    const tagInput = document.getElementById('tag-name');
+    const viewSelect = document.getElementById('tag-view');
+
+    await ScreenshotCatalog.load();
+    pictureTags = loadSavedTags() || await loadTagFile();
+
+    tagInput.addEventListener('change', renderPictures);
+    viewSelect.addEventListener('change', renderPictures);
+    document.getElementById('download-tags').addEventListener('click', downloadTags);
+    document.getElementById('reset-tags').addEventListener('click', async () => {
+        localStorage.removeItem(TAGS_STORAGE_KEY);
+        pictureTags = await loadTagFile();
+        renderPictures();
+    });
+    document.getElementById('tagging-form').addEventListener('submit', (e) => e.preventDefault());
+
+    renderPictures();
+});
+
+/**
+ * Tags edited but not downloaded yet, or null
+ */
+function loadSavedTags() {
+    try {
+        return JSON.parse(localStorage.getItem(TAGS_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Tags of map-reader/pic/tags.json
+ */
+async function loadTagFile() {
+    try {
+        const response = await fetch(TAGS_FILE_PATH);
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        return (await response.json()).pictures || {};
+    } catch (error) {
+        console.warn('Could not load the tags file, starting empty:', error);
+        return {};
+    }
+}
+
+/**
+ * Keep the edits until they are downloaded
+ */
+function saveTags() {
+    localStorage.setItem(TAGS_STORAGE_KEY, JSON.stringify(pictureTags));
+}
+
+/**
+ * Tag currently edited
+ */
+function getTagName() {
+    return document.getElementById('tag-name').value.trim().toLowerCase();
+}
+
+/**
+ * Whether a picture has a tag
+ */
+function hasTag(file, tag) {
+    return Boolean(pictureTags[file] && pictureTags[file].tags.includes(tag));
+}
+
+/**
+ * Add or remove a tag of a picture
+ */
+function setTag(file, tag, enabled) {
+    const entry = pictureTags[file] || { tags: [] };
+    entry.tags = enabled
+        ? [...new Set([...entry.tags, tag])]
+        : entry.tags.filter(other => other !== tag);
+
+    if (entry.tags.length === 0) {
+        delete pictureTags[file];
+    } else {
+        pictureTags[file] = entry;
+    }
+    saveTags();
+}
+
+/**
+ * One card per picture: the picture (click to set the focus point) and the tag checkbox
+ */
+function renderPictures() {
+    const grid = document.getElementById('picture-grid');
+    const view = document.getElementById('tag-view').value;
+    const tag = getTagName();
+    if (!grid) return;
+
+    const pictures = ScreenshotCatalog.pictures.filter((picture) => {
+        if (view === 'tagged') return hasTag(picture.file, tag);
+        if (view === 'untagged') return !hasTag(picture.file, tag);
+        return true;
+    });
+
+    grid.replaceChildren(...pictures.map(picture => createPictureCard(picture, tag)));
+    const tagged = ScreenshotCatalog.pictures.filter(picture => hasTag(picture.file, tag)).length;
+    I18n.bind(document.getElementById('tagging-count'), 'tagging.count', { tagged, total: ScreenshotCatalog.pictures.length });
+}
+
+/**
+ * Card of a picture
+ */
+function createPictureCard(picture, tag) {
+    const card = document.createElement('div');
+    card.className = 'picture-card';
+    card.classList.toggle('tagged', hasTag(picture.file, tag));
+
+    const frame = document.createElement('div');
+    frame.className = 'picture-frame';
+    const image = document.createElement('img');
+    image.src = picture.url;
+    image.alt = picture.file;
+    image.loading = 'lazy';
+    frame.appendChild(image);
+
+    const entry = pictureTags[picture.file];
+    if (entry && entry.focus) {
+        const marker = document.createElement('span');
+        marker.className = 'focus-marker';
+        marker.style.left = `${entry.focus.x / ScreenshotCatalog.screenWidth * 100}%`;
+        marker.style.top = `${entry.focus.y / ScreenshotCatalog.screenHeight * 100}%`;
+        frame.appendChild(marker);
+    }
+
+    // Clicking the picture tags it and marks the spot the crops must show
+    image.addEventListener('click', (e) => {
+        const rect = image.getBoundingClientRect();
+        setTag(picture.file, tag, true);
+        pictureTags[picture.file].focus = {
+            x: Math.round((e.clientX - rect.left) / rect.width * ScreenshotCatalog.screenWidth),
+            y: Math.round((e.clientY - rect.top) / rect.height * ScreenshotCatalog.screenHeight)
+        };
+        saveTags();
+        renderPictures();
+    });
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = hasTag(picture.file, tag);
+    checkbox.addEventListener('change', () => {
+        setTag(picture.file, tag, checkbox.checked);
+        renderPictures();
+    });
+    label.append(checkbox, ` ${picture.file}`);
+
+    card.append(frame, label);
+    return card;
+}
+
+/**
+ * Download the tags in the tags.json format read by precompile-catalog.py
+ */
+function downloadTags() {
+    const sorted = Object.fromEntries(Object.entries(pictureTags).sort(([a], [b]) => a.localeCompare(b)));
+    const json = JSON.stringify({ version: 1, pictures: sorted }, null, 2);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([`${json}\n`], { type: 'application/json' }));
+    link.download = 'tags.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,517 @@
+/**
+ * Local leaderboard server for Rain-Guessr
+ * Stand-in for the real leaderboard so it can be developed and tested offline.
+ * Only uses Node built-ins. Before a submission is accepted, every round's hint
+ * is rebuilt from the seed and the hint settings (as GameSession.pickHint picks it)
+ * and every round is scored again with the game's own scoring. Only games played
+ * with the preset settings of their difficulty are ranked (see Leaderboard.isRanked).
+ *
+ * Usage: node leaderboard-server.js [--port 8787] [--data leaderboard.json]
+ *   --data: file the scores are kept in (in memory only without it)
+ *
+ * API:
+ *   POST /scores  submission (see Leaderboard.toSubmission) -> { id, rank, totalScore }
+ *   GET  /scores?mode=&difficulty=&world=&seed=&limit=     -> { scores: [...] }
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Scoring = require('./js/scoring.js');
+const SeededRandom = require('./js/random.js');
+
+// Browser modules find each other through globals, as in the browser
+global.Scoring = Scoring;
+global.SeededRandom = SeededRandom;
+global.ScreenshotCatalog = require('./js/screenshot-catalog.js');
+global.GameModes = require('./js/game-modes.js');
+const modeManifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'json', 'game-modes.json'), 'utf8'));
+for (const file of modeManifest.modes || []) {
+  require(path.join(__dirname, 'js', file)); // Registers the mode, see GameModes.load
+}
+global.GameSession = require('./js/game-session.js');
+const HintService = require('./js/hint-service.js');
+const Leaderboard = require('./js/leaderboard.js');
+
+const TILE_SIZE = 15; // Map pixels per tile, see RoomRenderer.TILE_SIZE
+const DAILY_SEED = /^daily-\d{4}-\d{2}-\d{2}$/; // See GameSession.getDailySeed
+const PICTURE_DIR = path.join(__dirname, 'map-reader', 'pic'); // See ScreenshotCatalog.PICTURE_PATH
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_NAME_LENGTH = 24;
+const SUBMISSION_VERSION = 2;
+const TIME_TOLERANCE = 1; // Seconds a timed-out round may go over the limit (timer ticks)
+const HINT_TOLERANCE = 1e-6; // Tiles a hint position may differ by (float rounding)
+
+/**
+ * Read `--name value` from the command line
+ */
+function getArgument(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * World of a variant: its rooms by region, in the order the game lists them
+ * (random-point hints are picked from that list), and a room lookup like RoomRenderer.findRoom
+ */
+function createWorld(allRooms) {
+  return {
+    allRooms,
+    findRoom(fullName) {
+      if (!fullName) return null;
+      const wanted = String(fullName).toUpperCase();
+      const rooms = allRooms[wanted.split('_')[0]] || [];
+      return rooms.find(room => room && (room.fullName || '').toUpperCase() === wanted) || null;
+    }
+  };
+}
+
+/**
+ * Worlds of the vanilla map and of every Downpour variant, by variant id
+ * Built like RoomRenderer.loadVariant: Downpour rooms replace the vanilla ones,
+ * then each region keeps the rooms listed in the variant (or the Downpour map)
+ */
+function loadWorlds() {
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, 'json', file), 'utf8'));
+  const strip = (data) => {
+    const rooms = {};
+    for (const [regionCode, regionRooms] of Object.entries(data.rooms)) {
+      rooms[regionCode] = regionRooms.map(room => ({ ...room, regionCode, tileMap: undefined }));
+    }
+    return rooms;
+  };
+
+  const vanilla = strip(read('map-data.json'));
+  const worlds = { vanilla: createWorld(vanilla) };
+
+  let data;
+  try {
+    data = read('map-data-downpour.json');
+  } catch (error) {
+    console.warn('Downpour data not found, only vanilla games can be submitted');
+    return worlds;
+  }
+
+  const downpourRooms = strip(data);
+  const downpour = data.variants.downpour;
+  for (const [id, variant] of Object.entries(data.variants)) {
+    const allRooms = { ...vanilla };
+    for (const [regionCode, rooms] of Object.entries(downpourRooms)) {
+      const merged = new Map((allRooms[regionCode] || []).map(room => [room.fullName.toUpperCase(), room]));
+      for (const room of rooms) {
+        merged.set(room.fullName.toUpperCase(), room);
+      }
+      allRooms[regionCode] = [...merged.values()];
+    }
+
+    for (const [regionCode, rooms] of Object.entries(allRooms)) {
+      const listed = variant.rooms[regionCode] || downpour.rooms[regionCode];
+      if (!listed) continue;
+
+      const names = new Set(listed);
+      allRooms[regionCode] = rooms.filter(room => names.has(room.fullName.toUpperCase()));
+      if (allRooms[regionCode].length === 0) {
+        delete allRooms[regionCode];
+      }
+    }
+    worlds[id] = createWorld(allRooms);
+  }
+  return worlds;
+}
+
+/**
+ * Width in pixels of a PNG picture (read from its header), null if it can't be read
+ */
+function readPngWidth(file) {
+  let fd = null;
+  try {
+    const header = Buffer.alloc(24);
+    fd = fs.openSync(file, 'r');
+    fs.readSync(fd, header, 0, header.length, 0);
+    return header.toString('ascii', 12, 16) === 'IHDR' ? header.readUInt32BE(16) : null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Load the screenshot catalog hints are cropped from, with the width of each picture
+ * (the crop scale; a picture that can't be read is skipped, as when it fails to load in the game)
+ */
+function loadCatalog() {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'json', 'screenshot-catalog.json'), 'utf8'));
+    ScreenshotCatalog.screenWidth = data.screenWidth || ScreenshotCatalog.screenWidth;
+    ScreenshotCatalog.screenHeight = data.screenHeight || ScreenshotCatalog.screenHeight;
+    ScreenshotCatalog.pictures = (data.pictures || []).map(entry => ({
+      ...entry,
+      tags: entry.tags || [],
+      width: readPngWidth(path.join(PICTURE_DIR, entry.path))
+    }));
+    ScreenshotCatalog.loaded = true;
+  } catch (error) {
+    console.warn('Screenshot catalog not found, only random-point hints can be checked');
+  }
+}
+
+/**
+ * Flat-map position of a point given in tiles from a room's top-left corner
+ */
+function localToWorld(room, local) {
+  if (!room || !local || !Number.isFinite(local.x) || !Number.isFinite(local.y)) return null;
+  return { x: room.worldPos.x + local.x * TILE_SIZE, y: room.worldPos.y + local.y * TILE_SIZE };
+}
+
+/**
+ * Hint settings of a submission, as in the game's config; null if one is invalid
+ */
+function getHintConfig(submission) {
+  const config = {
+    mode: submission.mode,
+    seed: submission.seed,
+    cropWidth: submission.cropWidth,
+    cropHeight: submission.cropHeight,
+    edgeMargin: submission.edgeMargin,
+    focusCrop: submission.focusCrop,
+    hintMargin: submission.hintMargin,
+    regions: submission.regions,
+    tags: submission.tags
+  };
+
+  const isStringList = (list) => Array.isArray(list) && list.every(item => typeof item === 'string');
+  const valid = typeof config.seed === 'string' && config.seed !== ''
+    && Number.isInteger(config.cropWidth) && config.cropWidth > 0
+    && Number.isInteger(config.cropHeight) && config.cropHeight > 0
+    && Number.isFinite(config.edgeMargin) && config.edgeMargin >= 0
+    && typeof config.focusCrop === 'boolean'
+    && Number.isFinite(config.hintMargin) && config.hintMargin >= 0 && config.hintMargin < 0.5
+    && isStringList(config.regions) && isStringList(config.tags);
+  return valid ? config : null;
+}
+
+/**
+ * Crop of a screenshot picked like HintService.generate, null if no picture fits
+ */
+function rebuildPictureHint(config, world, pool, random) {
+  for (let attempt = 0; attempt < HintService.DEFAULT_OPTIONS.maxAttempts; attempt++) {
+    const picture = random.pick(pool);
+    const u = random.next();
+    const v = random.next();
+    if (!picture.width) continue;
+
+    const room = world.findRoom(picture.room);
+    const camera = picture.camera;
+    const scale = picture.width / ScreenshotCatalog.screenWidth;
+    let area = HintService.getSafeArea(room, camera, config.edgeMargin, scale);
+    if (area && config.focusCrop && picture.focus) {
+      area = HintService.getFocusArea(area, picture.focus, config.cropWidth, config.cropHeight, scale);
+    }
+    if (!area || area.maxX - area.minX < config.cropWidth || area.maxY - area.minY < config.cropHeight) {
+      continue;
+    }
+
+    const cropX = Math.floor(area.minX + u * (area.maxX - area.minX - config.cropWidth));
+    const cropY = Math.floor(area.minY + v * (area.maxY - area.minY - config.cropHeight));
+    return {
+      room: picture.room,
+      local: HintService.screenshotToLocal(
+        room, camera,
+        cropX + config.cropWidth / 2, cropY + config.cropHeight / 2,
+        scale
+      )
+    };
+  }
+  return null;
+}
+
+/**
+ * Random point in a random room, picked like GameSession.pickRandomPoint
+ */
+function rebuildRandomPoint(config, world, random) {
+  const rooms = Object.entries(world.allRooms)
+    .filter(([regionCode]) => config.regions.length === 0 || config.regions.includes(regionCode))
+    .flatMap(([, regionRooms]) => regionRooms)
+    .filter(room => room && room.width > 0 && room.height > 0);
+  if (rooms.length === 0) return null;
+
+  const room = random.pick(rooms);
+  return {
+    room: room.fullName,
+    local: {
+      x: random.float(config.hintMargin, 1 - config.hintMargin) * room.width,
+      y: random.float(config.hintMargin, 1 - config.hintMargin) * room.height
+    }
+  };
+}
+
+/**
+ * Hints the game may have picked for a round, rebuilt from the seed like GameSession.pickHint:
+ * the screenshot crop (or the random point it falls back to when no crop fits),
+ * and, unless the mode needs pictures, the random point picked when the player had no pictures
+ */
+function rebuildHints(config, world, index) {
+  const createRandom = () => SeededRandom.create(`${config.seed}/${index}`);
+  const requiresPictures = GameModes.getMode(config).requiresPictures;
+  const hints = [];
+
+  const pool = ScreenshotCatalog.query({ ...GameModes.getHintFilter(config), inMap: true, hasCamera: true })
+    .filter(picture => world.findRoom(picture.room));
+  if (pool.length > 0) {
+    const random = createRandom();
+    const hint = rebuildPictureHint(config, world, pool, random);
+    if (hint) {
+      hints.push(hint);
+    } else if (!requiresPictures) {
+      hints.push(rebuildRandomPoint(config, world, random));
+    }
+  }
+  if (!requiresPictures) {
+    hints.push(rebuildRandomPoint(config, world, createRandom()));
+  }
+  return hints.filter(Boolean);
+}
+
+/**
+ * Whether a submitted round's hint is a rebuilt one
+ */
+function isSameHint(round, hint) {
+  return String(round.room).toUpperCase() === hint.room.toUpperCase()
+    && Math.abs(round.local.x - hint.local.x) <= HINT_TOLERANCE
+    && Math.abs(round.local.y - hint.local.y) <= HINT_TOLERANCE;
+}
+
+/**
+ * Check a submission, its hints and its scores; returns the problem found, or null
+ */
+function verifySubmission(submission, worlds) {
+  if (!submission || submission.version !== SUBMISSION_VERSION) return 'Unsupported submission version';
+
+  const player = typeof submission.player === 'string' ? submission.player.trim() : '';
+  if (!player || player.length > MAX_NAME_LENGTH) return 'Invalid player name';
+  if (!GameModes.get(submission.mode)) return `Unknown game mode ${submission.mode}`;
+  if (!Scoring.DIFFICULTIES[submission.difficulty]) return `Unknown difficulty ${submission.difficulty}`;
+
+  const world = Object.hasOwn(worlds, submission.world) ? worlds[submission.world] : null;
+  if (!world) return `Unknown world ${submission.world}`;
+
+  const hintConfig = getHintConfig(submission);
+  if (!hintConfig) return 'Invalid seed or hint settings';
+
+  const settings = {
+    ...hintConfig,
+    daily: submission.daily,
+    world: submission.world,
+    difficulty: submission.difficulty,
+    rounds: submission.roundCount,
+    timeLimit: submission.timeLimit
+  };
+  if (typeof submission.daily !== 'boolean') return 'Invalid daily flag';
+  if (submission.daily) {
+    if (!DAILY_SEED.test(submission.seed)) return 'Not a daily challenge seed';
+    if (!Leaderboard.isRanked(settings)) return 'Settings differ from the daily challenge';
+  } else if (!Leaderboard.isRanked(settings)) {
+    return `Only games with the ${submission.difficulty} preset settings are ranked`;
+  }
+
+  const rounds = submission.rounds;
+  if (!Array.isArray(rounds) || rounds.length === 0 || rounds.length !== submission.roundCount) {
+    return 'Rounds are missing';
+  }
+
+  const params = GameModes.getScoringParams(submission);
+  let total = 0;
+  for (const [index, round] of rounds.entries()) {
+    if (!round || typeof round !== 'object') return `Round ${index + 1}: unknown hint`;
+
+    const answerRoom = world.findRoom(round.room);
+    const hintPoint = localToWorld(answerRoom, round.local);
+    if (!hintPoint) return `Round ${index + 1}: unknown hint`;
+    if (!rebuildHints(hintConfig, world, index).some(hint => isSameHint(round, hint))) {
+      return `Round ${index + 1}: hint does not match the seed`;
+    }
+
+    if (!Number.isFinite(round.elapsed) || round.elapsed < 0) return `Round ${index + 1}: invalid time`;
+    if (submission.timeLimit > 0 && round.elapsed > submission.timeLimit + TIME_TOLERANCE) {
+      return `Round ${index + 1}: over the time limit`;
+    }
+
+    let guessRoom = null;
+    let guessPoint = null;
+    if (round.guess) {
+      guessRoom = world.findRoom(round.guess.room);
+      guessPoint = localToWorld(guessRoom, round.guess.local) || round.guess.point;
+      if (!guessPoint || !Number.isFinite(guessPoint.x) || !Number.isFinite(guessPoint.y)) {
+        return `Round ${index + 1}: invalid guess`;
+      }
+    }
+
+    const score = Scoring.score({
+      guessPoint, guessRoom, answerRoom, hintPoint, elapsed: round.elapsed
+    }, params);
+    if (score.total !== round.score) {
+      return `Round ${index + 1}: score ${round.score} does not match ${score.total}`;
+    }
+    total += score.total;
+  }
+
+  if (total !== submission.totalScore) return `Total ${submission.totalScore} does not match ${total}`;
+  return null;
+}
+
+/**
+ * Score store, saved to a JSON file when one is given
+ */
+function createStore(file) {
+  let scores = [];
+  if (file && fs.existsSync(file)) {
+    scores = JSON.parse(fs.readFileSync(file, 'utf8')).scores || [];
+  }
+
+  return {
+    add(entry) {
+      scores.push(entry);
+      if (file) fs.writeFileSync(file, JSON.stringify({ scores }, null, 2));
+    },
+
+    // Best scores first, earlier submissions first on ties
+    query({ mode, difficulty, world, seed }) {
+      return scores
+        .filter(entry => (mode === undefined || entry.mode === mode)
+          && (difficulty === undefined || entry.difficulty === difficulty)
+          && (world === undefined || entry.world === world)
+          && (seed === undefined || entry.seed === seed))
+        .sort((a, b) => b.totalScore - a.totalScore || a.submittedAt - b.submittedAt);
+    }
+  };
+}
+
+/**
+ * Read a JSON request body
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Request body is not JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response (the game is served from another origin)
+ */
+function send(response, status, data) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+/**
+ * Handle one API request
+ */
+async function handleRequest(request, response, store, worlds) {
+  const url = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+  if (url.pathname !== '/scores') {
+    send(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (request.method === 'GET') {
+    const filter = {};
+    for (const key of ['mode', 'difficulty', 'world', 'seed']) {
+      if (url.searchParams.has(key)) filter[key] = url.searchParams.get(key);
+    }
+    const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit)) {
+      send(response, 400, { error: 'The limit must be a whole number' });
+      return;
+    }
+    send(response, 200, { scores: store.query(filter).slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT)) });
+    return;
+  }
+
+  if (request.method === 'POST') {
+    let submission;
+    try {
+      submission = await readBody(request);
+    } catch (error) {
+      send(response, 400, { error: error.message });
+      return;
+    }
+
+    const problem = verifySubmission(submission, worlds);
+    if (problem) {
+      send(response, 422, { error: problem });
+      return;
+    }
+
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      player: submission.player.trim(),
+      mode: submission.mode,
+      difficulty: submission.difficulty,
+      world: submission.world,
+      seed: submission.seed,
+      daily: submission.daily,
+      totalScore: submission.totalScore,
+      roundCount: submission.roundCount,
+      submittedAt: Date.now()
+    };
+    store.add(entry);
+
+    // Same boards as the game shows: one per daily challenge, one per mode/difficulty/world for the rest
+    const rank = store.query({
+      mode: entry.mode,
+      difficulty: entry.difficulty,
+      world: entry.world,
+      seed: entry.daily ? entry.seed : undefined
+    }).findIndex(other => other.id === entry.id) + 1;
+    send(response, 201, { id: entry.id, rank, totalScore: entry.totalScore });
+    return;
+  }
+
+  send(response, 405, { error: `Method ${request.method} not allowed` });
+}
+
+if (require.main === module) {
+  const port = Number(getArgument('port', process.env.PORT || 8787));
+  const store = createStore(getArgument('data', null));
+  const worlds = loadWorlds();
+  loadCatalog();
+
+  http.createServer((request, response) => {
+    handleRequest(request, response, store, worlds).catch((error) => {
+      console.error('Request failed:', error);
+      send(response, 500, { error: 'Internal error' });
+    });
+  }).listen(port, () => {
+    console.log(`Leaderboard server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { verifySubmission, loadWorlds, loadCatalog, createStore };
@@ -0,0 +1,154 @@
+#!/usr/bin/env python3
+"""
+Screenshot Catalog Generator
+Builds json/screenshot-catalog.json, linking every screenshot in map-reader/pic
+to its region, room, camera and camera world position.
+Tags come from map-reader/pic/tags.json (edited with html/tagging.html);
+tags already present in the catalog are kept for pictures it doesn't list.
+"""
+
+import json
+import re
+from pathlib import Path
+
+# Configuration
+BASE_DIR = Path(__file__).parent
+PIC_DIR = BASE_DIR / "map-reader" / "pic"
+ROOM_DIR = BASE_DIR / "map-reader" / "World" / "Regions" / "Rooms"
+MAP_DATA_FILE = BASE_DIR / "json" / "map-data.json"
+OUTPUT_FILE = BASE_DIR / "json" / "screenshot-catalog.json"
+TAGS_FILE = PIC_DIR / "tags.json"
+
+ROOM_TILE_SIZE = 20  # Size of a tile in room pixels (game files)
+SCREEN_HEIGHT = 800  # Height of a camera in room pixels
+
+PICTURE_NAME = re.compile(r'^(.+)_(\d+)\.png$', re.IGNORECASE)
+
+
+def load_map_rooms():
+    """Index the rooms of map-data.json by full name."""
+    with open(MAP_DATA_FILE, 'r') as f:
+        map_data = json.load(f)
+
+    rooms = {}
+    for region_code, region_rooms in map_data['rooms'].items():
+        for room in region_rooms:
+            rooms[room['fullName'].upper()] = room
+    return rooms, map_data.get('tileSize', 15)
+
+
+def load_cameras(region, room_name):
+    """Read the camera positions (line 4) of a room game file."""
+    room_file = ROOM_DIR / f"{region}-rooms" / f"{room_name.lower()}.txt"
+    if not room_file.exists():
+        return None
+
+    with open(room_file, 'r', encoding='utf-8') as f:
+        lines = f.read().split('\n')
+
+    cameras = []
+    for pair in (lines[3] if len(lines) > 3 else '').split('|'):
+        values = re.findall(r'-?\d+(?:\.\d+)?', pair)
+        if len(values) == 2:
+            cameras.append({'x': float(values[0]), 'y': float(values[1])})
+    return cameras
+
+
+def load_existing_tags():
+    """Keep the tags of a previous catalog."""
+    if not OUTPUT_FILE.exists():
+        return {}
+
+    with open(OUTPUT_FILE, 'r') as f:
+        catalog = json.load(f)
+    return {entry['file']: entry.get('tags', []) for entry in catalog.get('pictures', [])}
+
+
+def load_tag_file():
+    """Read the tagging file: {"pictures": {file: {"tags": [...], "focus": {"x", "y"}}}}."""
+    if not TAGS_FILE.exists():
+        return {}
+
+    with open(TAGS_FILE, 'r') as f:
+        return json.load(f).get('pictures', {})
+
+
+def build_catalog():
+    """Build the screenshot catalog."""
+    print("Building screenshot catalog...")
+
+    map_rooms, tile_size = load_map_rooms()
+    existing_tags = load_existing_tags()
+    tag_file = load_tag_file()
+    pictures = []
+
+    for region_dir in sorted(p for p in PIC_DIR.iterdir() if p.is_dir()):
+        for picture in sorted(region_dir.glob('*.png')):
+            match = PICTURE_NAME.match(picture.name)
+            if not match:
+                print(f"  Skipping unrecognised name: {picture.name}")
+                continue
+
+            room_name = match.group(1).upper()
+            camera_index = int(match.group(2))
+            region = room_name.split('_')[0]
+
+            entry = {
+                'file': picture.name,
+                'path': f"{region_dir.name}/{picture.name}",
+                'region': region,
+                'room': room_name,
+                'camera': {'index': camera_index},
+                'cameraWorld': None,
+                'tags': existing_tags.get(picture.name, []),
+                'inMap': room_name in map_rooms
+            }
+
+            # Tagging file entries win over the previous catalog
+            tagged = tag_file.get(picture.name)
+            if tagged is not None:
+                entry['tags'] = sorted(set(tagged.get('tags', [])))
+                if tagged.get('focus'):
+                    # Point the crops must show, in screen pixels from the top-left
+                    entry['focus'] = {'x': tagged['focus']['x'], 'y': tagged['focus']['y']}
+
+            cameras = load_cameras(region, room_name)
+            if cameras and 0 < camera_index <= len(cameras):
+                camera = cameras[camera_index - 1]
+                entry['camera'].update(camera)
+
+                room = map_rooms.get(room_name)
+                if room and 'worldPos' in room:
+                    # Top-left corner of the screenshot on the map
+                    entry['cameraWorld'] = {
+                        'x': room['worldPos']['x'] + camera['x'] / ROOM_TILE_SIZE * tile_size,
+                        'y': room['worldPos']['y'] + (room['height'] - (camera['y'] + SCREEN_HEIGHT) / ROOM_TILE_SIZE) * tile_size
+                    }
+            else:
+                print(f"  {picture.name}: camera {camera_index} not found")
+
+            if not entry['inMap']:
+                print(f"  {picture.name}: room {room_name} missing from map-data.json")
+
+            pictures.append(entry)
+
+    output_data = {
+        'version': '1.0',
+        'screenWidth': 1400,
+        'screenHeight': SCREEN_HEIGHT,
+        'pictures': pictures,
+        'totalPictures': len(pictures)
+    }
+
+    with open(OUTPUT_FILE, 'w') as f:
+        json.dump(output_data, f, indent=2)
+
+    missing = sum(1 for p in pictures if not p['inMap'])
+    print(f"✓ {len(pictures)} pictures catalogued ({missing} with a room missing from the map)")
+    print(f"✓ Saved to: {OUTPUT_FILE}")
+    return True
+
+
+if __name__ == '__main__':
+    success = build_catalog()
+    exit(0 if success else 1)
@@ -1,7 +1,7 @@
 #!/usr/bin/env python3
 """
 Map Data Precompiler
-Generates a single JSON file with all room data and pre-rendered room images.
+Generates a single JSON file with all room data and tile maps.
 This speeds up map loading dramatically by avoiding hundreds of HTTP requests.
 """
 
@@ -13,6 +13,12 @@ from pathlib import Path
 BASE_DIR = Path(__file__).parent
 MAP_DIR = BASE_DIR / "map" / "World" / "Regions" / "Rooms"
 OUTPUT_FILE = BASE_DIR / "json" / "map-data.json"
+REGION_DATA_DIR = BASE_DIR / "map-reader" / "World" / "Regions" / "Data"  # displayname.txt files
+
+# Downpour world: extra regions, modified rooms and per-slugcat maps
+DOWNPOUR_DIR = BASE_DIR / "map-reader" / "downpour" / "world"
+DOWNPOUR_OUTPUT_FILE = BASE_DIR / "json" / "map-data-downpour.json"
+PLACEMENT_STEP = 50  # Tiles a region is pushed by while it overlaps another one
 
 TILE_SIZE = 15
 TILE_COLORS = {
@@ -53,8 +59,8 @@ def parse_room_file(file_path):
                 room_data['fullName'] = stripped.replace('Piece :', '').strip()
                 room_data['name'] = room_data['fullName'].split('_')[1] if '_' in room_data['fullName'] else room_data['fullName']
             
-            # Parse size
-            elif stripped and all(c in '0123456789x' for c in stripped) and 'x' in stripped:
+            # Parse size (first "WxH" line only, a positive position looks the same)
+            elif room_data['width'] == 0 and stripped and all(c in '0123456789x' for c in stripped) and 'x' in stripped:
                 parts = stripped.split('x')
                 if len(parts) == 2 and parts[0].isdigit() and parts[1].isdigit():
                     room_data['width'] = int(parts[0])
@@ -78,7 +84,7 @@ def parse_room_file(file_path):
             elif 'end file :' in stripped:
                 break
         
-        room_data['tileMap'] = tile_lines
+        room_data['tileMap'] = [tile_line.rstrip() for tile_line in tile_lines]
         return room_data if room_data['width'] > 0 else None
         
     except Exception as e:
@@ -86,6 +92,123 @@ def parse_room_file(file_path):
         return None
 
 
+def geometry_to_char(tile):
+    """Convert a game geometry cell ("type,feature,...") to a tile map character."""
+    parts = tile.split(',')
+    tile_type = parts[0]
+    features = set(parts[1:])
+
+    if tile_type == '1':
+        return '#'  # wall
+    if tile_type == '2':
+        return '/'  # slope
+    if tile_type == '3':
+        return 'H'  # half block
+    if tile_type == '4':
+        return '='  # pipe entry
+    if '1' in features and '2' in features:
+        return '+'  # pole crossing
+    if '1' in features:
+        return '|'  # vertical pole
+    if '2' in features:
+        return '-'  # horizontal pole
+    return '.'  # air
+
+
+def parse_game_room_file(file_path):
+    """Parse a room file in the game format (Downpour rooms).
+
+    Line 1 is the name, line 2 the size ("WxH|..."), line 5 the geometry:
+    one cell per tile, column by column.
+    """
+    try:
+        with open(file_path, 'r', encoding='utf-8', errors='replace') as f:
+            lines = f.read().split('\n')
+
+        full_name = lines[0].strip()
+        width, height = (int(v) for v in lines[1].split('|')[0].split('*'))
+        cells = lines[4].strip().rstrip('|').split('|') if len(lines) > 4 else []
+
+        tile_map = []
+        if len(cells) == width * height:
+            tile_map = [
+                ''.join(geometry_to_char(cells[y + x * height]) for x in range(width)).rstrip()
+                for y in range(height)
+            ]
+        else:
+            print(f"  Warning: {file_path.name} has no usable geometry, drawing its outline only")
+
+        return {
+            'name': full_name.split('_', 1)[1] if '_' in full_name else full_name,
+            'fullName': full_name,
+            'width': width,
+            'height': height,
+            'position': {'x': 0, 'y': 0},
+            'tileMap': tile_map
+        }
+    except Exception as e:
+        print(f"Error parsing {file_path}: {e}")
+        return None
+
+
+def parse_map_file(file_path):
+    """Parse an in-game map file (map_xx.txt).
+
+    Line format: "NAME: canonX><canonY><devX><devY><layer><subregion><width><height"
+    Returns {NAME: {x, y, layer, width, height}} with y measured upwards.
+    """
+    entries = {}
+    with open(file_path, 'r', encoding='utf-8', errors='replace') as f:
+        for line in f:
+            if ': ' not in line or line.startswith('Connection'):
+                continue
+            name, data = line.strip().split(': ', 1)
+            values = data.split('><')
+            if len(values) < 8:
+                continue
+            try:
+                entries[name.upper()] = {
+                    'x': float(values[0]),
+                    'y': float(values[1]),
+                    'layer': int(values[4]),
+                    'width': int(values[6]),
+                    'height': int(values[7])
+                }
+            except ValueError:
+                continue
+    return entries
+
+
+def median(values):
+    """Median of a list (0 when empty)."""
+    if not values:
+        return 0
+    ordered = sorted(values)
+    return ordered[len(ordered) // 2]
+
+
+def map_to_flat(entry, offset):
+    """Flat map position (in tiles, y downwards) of a map file entry."""
+    return {
+        'x': entry['x'] + offset['x'],
+        'y': -(entry['y'] + entry['height']) + offset['y']
+    }
+
+
+def align_map(entries, known_positions):
+    """Offset that moves map file entries onto known flat positions (in tiles)."""
+    offsets_x = []
+    offsets_y = []
+    for name, position in known_positions.items():
+        entry = entries.get(name)
+        if entry:
+            offsets_x.append(position['x'] - entry['x'])
+            offsets_y.append(position['y'] + entry['y'] + entry['height'])
+    if not offsets_x:
+        return None
+    return {'x': median(offsets_x), 'y': median(offsets_y)}
+
+
 def load_region_positions():
     """Load region positions from region_pos.txt."""
     positions = {}
@@ -115,6 +238,15 @@ def load_region_positions():
     return positions
 
 
+def load_region_names():
+    """Load the region display names from the displayname.txt files."""
+    names = {}
+    for name_file in sorted(REGION_DATA_DIR.glob('*/displayname.txt')):
+        with open(name_file, 'r', encoding='utf-8-sig') as f:
+            names[name_file.parent.name.upper()] = f.read().strip()
+    return names
+
+
 def precompile_map_data():
     """Precompile all map data into a single JSON file."""
     print("Starting map data precompilation...")
@@ -174,10 +306,6 @@ def precompile_map_data():
                         'y': (region_pos['y'] + room_data['position']['y']) * TILE_SIZE
                     }
                 
-                # Remove tileMap since we only need outlines now
-                if 'tileMap' in room_data:
-                    del room_data['tileMap']
-                
                 rooms_in_region.append(room_data)
                 total_rooms += 1
         
@@ -186,9 +314,10 @@ def precompile_map_data():
     
     # Prepare output data
     output_data = {
-        'version': '1.0',
+        'version': '1.2',
         'tileSize': TILE_SIZE,
         'regionPositions': region_positions,
+        'regionNames': load_region_names(),
         'rooms': all_rooms_data,
         'totalRooms': total_rooms
     }
@@ -207,6 +336,246 @@ def precompile_map_data():
     return True
 
 
+def rectangles_overlap(a, b):
+    """Whether two {x, y, width, height} rectangles overlap."""
+    return (a['x'] < b['x'] + b['width'] and b['x'] < a['x'] + a['width'] and
+            a['y'] < b['y'] + b['height'] and b['y'] < a['y'] + a['height'])
+
+
+def place_region(rects, placed_rects, direction):
+    """Push a region's rooms along `direction` until they overlap no placed room.
+
+    Returns the shift in tiles.
+    """
+    shift = {'x': 0, 'y': 0}
+    length = max((direction['x'] ** 2 + direction['y'] ** 2) ** 0.5, 1e-9)
+    step = {'x': direction['x'] / length * PLACEMENT_STEP, 'y': direction['y'] / length * PLACEMENT_STEP}
+
+    def overlaps():
+        for rect in rects:
+            moved = {**rect, 'x': rect['x'] + shift['x'], 'y': rect['y'] + shift['y']}
+            if any(rectangles_overlap(moved, other) for other in placed_rects):
+                return True
+        return False
+
+    while overlaps():
+        shift['x'] += step['x']
+        shift['y'] += step['y']
+    return shift
+
+
+def precompile_downpour_data(vanilla_data):
+    """Precompile the Downpour world on top of the vanilla data.
+
+    - rooms: added or modified rooms, by region (new regions are aligned on
+      their gates with the regions already placed, then moved off any overlap)
+    - variants: room list of every region for Downpour and each slugcat
+      campaign (from map_xx.txt and map_xx-<slugcat>.txt)
+    - regionNames: display names (displayname.txt, displayname-<slugcat>.txt)
+    """
+    print("\nStarting Downpour data precompilation...")
+
+    if not DOWNPOUR_DIR.exists():
+        print(f"Error: {DOWNPOUR_DIR} not found")
+        return False
+
+    region_positions = vanilla_data['regionPositions']
+    vanilla_rooms = vanilla_data['rooms']
+    codes = sorted(
+        d.name for d in DOWNPOUR_DIR.iterdir()
+        if d.is_dir() and (d / f"map_{d.name}.txt").exists()
+    )
+
+    # Map files: base and per-slugcat
+    base_maps = {}
+    slugcat_maps = {}  # slugcat -> region -> entries
+    for code in codes:
+        region = code.upper()
+        base_maps[region] = parse_map_file(DOWNPOUR_DIR / code / f"map_{code}.txt")
+        for map_file in sorted((DOWNPOUR_DIR / code).glob(f"map_{code}-*.txt")):
+            slugcat = map_file.stem.split('-', 1)[1]
+            slugcat_maps.setdefault(slugcat, {})[region] = parse_map_file(map_file)
+
+    # Flat positions (in tiles) of the vanilla rooms
+    flat_positions = {}
+    for region, rooms in vanilla_rooms.items():
+        region_pos = region_positions.get(region, {'x': 0, 'y': 0})
+        flat_positions[region] = {
+            room['fullName'].upper(): {
+                'x': region_pos['x'] + room['position']['x'],
+                'y': region_pos['y'] + room['position']['y']
+            }
+            for room in rooms
+        }
+
+    # Offset of each region's map file on the flat map
+    offsets = {}
+    for region in base_maps:
+        if region in flat_positions:
+            offset = align_map(base_maps[region], flat_positions[region])
+            if offset:
+                offsets[region] = offset
+
+    placed_rects = [
+        {'x': pos['x'], 'y': pos['y'], 'width': room['width'], 'height': room['height']}
+        for region, rooms in vanilla_rooms.items()
+        for room, pos in ((r, flat_positions[region][r['fullName'].upper()]) for r in rooms)
+    ]
+    centre = {
+        'x': median([rect['x'] for rect in placed_rects]),
+        'y': median([rect['y'] for rect in placed_rects])
+    }
+
+    new_positions = {}
+
+    def place(region, region_offset, direction=None):
+        """Move a region off the placed ones and record its offset."""
+        entries = base_maps[region]
+        rects = [
+            {**map_to_flat(entry, region_offset), 'width': entry['width'], 'height': entry['height']}
+            for name, entry in entries.items() if not name.startswith('GATE_')
+        ]
+        if direction is None:
+            # Away from the centre of the world
+            direction = {
+                'x': median([rect['x'] for rect in rects]) - centre['x'],
+                'y': median([rect['y'] for rect in rects]) - centre['y']
+            }
+        shift = place_region(rects, placed_rects, direction)
+
+        offsets[region] = {
+            'x': round(region_offset['x'] + shift['x']),
+            'y': round(region_offset['y'] + shift['y'])
+        }
+        placed_rects.extend(
+            {**rect, 'x': rect['x'] + shift['x'], 'y': rect['y'] + shift['y']} for rect in rects
+        )
+        new_positions[region] = {**offsets[region], 'name': region}
+
+    # New regions: align on a gate shared with a placed region, until none is left
+    pending = [region for region in base_maps if region not in offsets]
+    progress = True
+    while pending and progress:
+        progress = False
+        for region in list(pending):
+            entries = base_maps[region]
+            gate = next((
+                (name, other) for other in list(offsets) for name in entries
+                if name.startswith('GATE_') and name in base_maps[other]
+            ), None)
+            if not gate:
+                continue
+
+            name, other = gate
+            gate_pos = map_to_flat(base_maps[other][name], offsets[other])
+            place(region, {
+                'x': gate_pos['x'] - entries[name]['x'],
+                'y': gate_pos['y'] + entries[name]['y'] + entries[name]['height']
+            })
+            print(f"  {region}: placed through {name}")
+            pending.remove(region)
+            progress = True
+
+    # Regions without gates (reached another way in game): below the world
+    for region in pending:
+        entries = base_maps[region]
+        place(region, {
+            'x': centre['x'] - median([entry['x'] for entry in entries.values()]),
+            'y': centre['y'] + median([entry['y'] + entry['height'] for entry in entries.values()])
+        }, {'x': 0, 'y': 1})
+        print(f"  {region}: no gate, placed below the map")
+
+    all_region_positions = {**region_positions, **new_positions}
+
+    # Rooms: every Downpour room file listed in a map of its region
+    rooms_data = {}
+    total_rooms = 0
+    for code in codes:
+        region = code.upper()
+        rooms_dir = DOWNPOUR_DIR / f"{code}-rooms"
+        if region not in offsets or not rooms_dir.exists():
+            continue
+
+        region_pos = all_region_positions.get(region, {'x': 0, 'y': 0})
+        variant_offsets = {
+            slugcat: align_map(maps[region], {
+                name: map_to_flat(entry, offsets[region]) for name, entry in base_maps[region].items()
+            })
+            for slugcat, maps in slugcat_maps.items() if region in maps
+        }
+
+        rooms = []
+        for room_file in sorted(rooms_dir.glob('*.txt')):
+            room = parse_game_room_file(room_file)
+            if not room:
+                continue
+            name = room['fullName'].upper()
+
+            if name in flat_positions.get(region, {}):
+                position = flat_positions[region][name]
+            elif name in base_maps[region]:
+                position = map_to_flat(base_maps[region][name], offsets[region])
+            else:
+                # Campaign-only room: place it with the first map listing it
+                slugcat = next((s for s, maps in slugcat_maps.items()
+                                if region in maps and name in maps[region] and variant_offsets.get(s)), None)
+                if not slugcat:
+                    continue
+                position = map_to_flat(slugcat_maps[slugcat][region][name], variant_offsets[slugcat])
+
+            room['position'] = {
+                'x': round(position['x'] - region_pos['x']),
+                'y': round(position['y'] - region_pos['y'])
+            }
+            room['worldPos'] = {
+                'x': (region_pos['x'] + room['position']['x']) * TILE_SIZE,
+                'y': (region_pos['y'] + room['position']['y']) * TILE_SIZE
+            }
+            rooms.append(room)
+
+        rooms_data[region] = rooms
+        total_rooms += len(rooms)
+        print(f"  {region}: {len(rooms)} Downpour rooms")
+
+    # Room list of every region, per variant
+    def room_lists(maps):
+        return {region: sorted(name for name in entries if not name.startswith('GATE_'))
+                for region, entries in maps.items()}
+
+    variants = {'downpour': {'rooms': room_lists(base_maps)}}
+    for slugcat, maps in sorted(slugcat_maps.items()):
+        variants[slugcat] = {'rooms': room_lists(maps), 'maps': sorted(maps)}
+
+    # Region display names
+    region_names = {}
+    for code in codes:
+        for name_file in sorted((DOWNPOUR_DIR / code).glob('displayname*.txt')):
+            variant = name_file.stem.split('-', 1)[1] if '-' in name_file.stem else 'downpour'
+            with open(name_file, 'r', encoding='utf-8-sig') as f:
+                region_names.setdefault(variant, {})[code.upper()] = f.read().strip()
+
+    output_data = {
+        'version': '1.0',
+        'tileSize': TILE_SIZE,
+        'regionPositions': new_positions,
+        'rooms': rooms_data,
+        'variants': variants,
+        'regionNames': region_names,
+        'totalRooms': total_rooms
+    }
+
+    print(f"\nWriting {total_rooms} Downpour rooms to {DOWNPOUR_OUTPUT_FILE}...")
+    with open(DOWNPOUR_OUTPUT_FILE, 'w') as f:
+        json.dump(output_data, f, separators=(',', ':'))
+
+    file_size = DOWNPOUR_OUTPUT_FILE.stat().st_size / (1024 * 1024)
+    print(f"✓ Downpour precompilation complete! File size: {file_size:.2f} MB")
+    return True
+
+
 if __name__ == '__main__':
     success = precompile_map_data()
+    if success:
+        with open(OUTPUT_FILE, 'r') as f:
+            success = precompile_downpour_data(json.load(f))
     exit(0 if success else 1)